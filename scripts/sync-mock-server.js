@@ -0,0 +1,62 @@
+// ============================================================
+// MOCK SYNC SERVER
+// ============================================================
+// In-memory implementation of the sync protocol in src/sync.js, for trying
+// multi-device sync locally:  node scripts/sync-mock-server.js [port]
+// Point each device's sync URL at http://<this machine>:8787.
+import http from "node:http";
+import process from "node:process";
+
+const port = Number(process.argv[2]) || 8787;
+const stores = { days: new Map(), customers: new Map() };
+const keys = { days: "date", customers: "id" };
+let seq = 0;
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(body ? JSON.stringify(body) : "");
+};
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") return send(res, 204);
+  if (url.pathname !== "/changes") return send(res, 404, { error: "not found" });
+
+  if (req.method === "GET") {
+    const since = Number(url.searchParams.get("since")) || 0;
+    const out = {};
+    Object.entries(stores).forEach(([name, map]) => {
+      out[name] = [...map.values()].filter(e => e.seq > since).map(e => e.record);
+    });
+    return send(res, 200, { ...out, cursor: String(seq) });
+  }
+
+  if (req.method === "POST") {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      let data;
+      try { data = JSON.parse(body); } catch { return send(res, 400, { error: "bad json" }); }
+      let accepted = 0;
+      Object.entries(stores).forEach(([name, map]) => {
+        (data[name] || []).forEach(record => {
+          const key = record?.[keys[name]];
+          if (key == null) return;
+          const current = map.get(key);
+          if (current && (current.record.updatedAt || "") >= (record.updatedAt || "")) return;
+          map.set(key, { seq: ++seq, record });
+          accepted++;
+        });
+      });
+      console.log(`${data.deviceId || "?"} pushed ${accepted} record(s), cursor ${seq}`);
+      send(res, 200, { accepted, cursor: String(seq) });
+    });
+    return;
+  }
+  send(res, 405, { error: "method not allowed" });
+}).listen(port, () => console.log(`Mock sync server on http://localhost:${port}`));
@@ -1,6 +1,32 @@
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useRef, useMemo, Fragment } from "react";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
+import { solveRoute, solveOptional, solveVRP, buildWindows, parseClock, pathTime } from "./solver.js";
+import { loadDayPlan, saveDayPlan, buildTimeline, suggestDeferrals } from "./dayplan.js";
+import { useDragReorder } from "./useDragReorder.js";
+import { loadHistory, recordEdit, stepHistory, emptyHistory } from "./history.js";
+import { saveDay, loadAllDays, putRecord, getAllRecords, CUSTOMER_STORE } from "./db.js";
+import { planVisits, estimateDayDrive } from "./scheduler.js";
+import CustomersPanel from "./components/CustomersPanel.jsx";
+import ImportPanel from "./components/ImportPanel.jsx";
+import { toGPX, toKML, toCSV, openDaySheet, downloadFile } from "./exporters.js";
+import VisitSheet from "./components/VisitSheet.jsx";
+import BackupPanel from "./components/BackupPanel.jsx";
+import { loadSyncConfig, saveSyncConfig, syncNow } from "./sync.js";
+import ReportsPanel from "./components/ReportsPanel.jsx";
+import GeocodePicker from "./components/GeocodePicker.jsx";
+import RegionPanel from "./components/RegionPanel.jsx";
+import DirectionsPanel from "./components/DirectionsPanel.jsx";
+import { currentLeg } from "./directions.js";
+import { MAP_LAYERS, loadMapLayers, saveMapLayers, clusterPoints, clusterIcon, CLUSTER_MAX_ZOOM, HeatLayer } from "./mapLayers.js";
+import { getRegionConfig, setRegionConfig, loadRegionConfig, activeRegion } from "./regions.js";
+import { OUTCOMES } from "./visits.js";
+import { PRIORITIES, priorityOf, nextPriority, penaltyOf, DROP_REASONS } from "./priority.js";
+import { createTracker, watchPosition, loadTrackingConfig, saveTrackingConfig, DEFAULT_TRACKING } from "./tracking.js";
+import { fmtTime, fmtClock, fmtDist, fmtMoney, escapeHtml } from "./format.js";
+import { todayISO, addDays, weekDates, startOfWeek, weekdayOf, nextWorkingDay, fmtDay, fmtDate, fmtWeek } from "./dates.js";
+import { loadTerritories, saveTerritories, activeTerritory, inTerritory, pointInPolygon } from "./territories.js";
+import { geocodeAddress, geocodeCandidates, reverseGeocode, CONFIDENCE, getDistanceMatrix, getTravelMatrix, getRouteGeometry, getProviderConfig, setProviderConfig, loadProviderConfig, DEFAULT_PROVIDERS } from "./providers.js";
 
 import markerIcon2x from "leaflet/dist/images/marker-icon-2x.png";
 import markerIcon from "leaflet/dist/images/marker-icon.png";
@@ -14,145 +40,84 @@ L.Icon.Default.mergeOptions({
 });
 
 // ============================================================
-// INDEXEDDB
+// HELPERS
 // ============================================================
-const DB_NAME = "FieldRoutePlannerDB";
-const DB_VERSION = 1;
-const STORE_NAME = "days";
-
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onupgradeneeded = (e) => {
-      const db = e.target.result;
-      if (!db.objectStoreNames.contains(STORE_NAME))
-        db.createObjectStore(STORE_NAME, { keyPath: "day" });
-    };
-    req.onsuccess = () => resolve(req.result);
-    req.onerror = () => reject(req.error);
-  });
-}
-async function saveDay(data) {
-  const db = await openDB();
-  return new Promise((res, rej) => {
-    const tx = db.transaction(STORE_NAME, "readwrite");
-    tx.objectStore(STORE_NAME).put(data);
-    tx.oncomplete = res;
-    tx.onerror = () => rej(tx.error);
-  });
-}
-async function loadAllDays() {
-  const db = await openDB();
-  return new Promise((res, rej) => {
-    const tx = db.transaction(STORE_NAME, "readonly");
-    const req = tx.objectStore(STORE_NAME).getAll();
-    req.onsuccess = () => res(req.result);
-    req.onerror = () => rej(req.error);
-  });
-}
+const EMPTY_DAY = (date) => ({ date, locations: [], optimizedOrder: null, routeGeometry: null, routes: null, totalTime: 0, totalDist: 0, updatedAt: null });
+const REP_COLORS = ["#f97316", "#3b82f6", "#a855f7", "#eab308", "#14b8a6", "#ec4899"];
 
-// ============================================================
-// GEOCODING
-// ============================================================
-async function geocodeAddress(address) {
-  const url = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(address + ", Surat, Gujarat, India")}&format=json&limit=1`;
-  const res = await fetch(url, { headers: { "Accept-Language": "en" } });
-  const data = await res.json();
-  if (!data.length) throw new Error("Address not found");
-  return { lat: parseFloat(data[0].lat), lng: parseFloat(data[0].lon), display: data[0].display_name };
-}
+// Start/end points use these id prefixes; team routes append the rep id
+const isStartPoint = (l) => l.id.startsWith("__home__");
+const isEndPoint = (l) => l.id.startsWith("__office__");
+// A stop leaves its route behind when it changes day; coordinates, notes and
+// time windows go with it
+const detachStop = (l) => ({ ...l, optimizedIndex: undefined, eta: null, etd: null, windowConflict: false, repId: null, unassigned: false, pinned: false, pinPos: null, lockNext: false });
+const RESET_ROUTE = { optimizedOrder: null, routeGeometry: null, legs: null, routes: null, totalTime: 0, totalDist: 0, manual: null, timeline: null, dropped: null };
+// Difference with an explicit sign, e.g. "+8m" / "−1.2 km"
+const signed = (v, fmt) => `${v > 0 ? "+" : v < 0 ? "−" : "±"}${fmt(Math.abs(v))}`;
 
-// ============================================================
-// OSRM
-// ============================================================
-async function getDistanceMatrix(locations) {
-  const coords = locations.map(l => `${l.lng},${l.lat}`).join(";");
-  const res = await fetch(`https://router.project-osrm.org/table/v1/driving/${coords}?annotations=duration`);
-  const data = await res.json();
-  if (data.code !== "Ok") throw new Error("OSRM error");
-  return data.durations;
+const parseMapsLink = (text) => {
+  const m =
+    text.match(/!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/) ||
+    text.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/) ||
+    text.match(/place\/(-?\d+\.\d+),(-?\d+\.\d+)/);
+  return m ? { lat: parseFloat(m[1]), lng: parseFloat(m[2]) } : null;
+};
+// Google Maps link or free-text address → { lat, lng }
+async function resolvePoint(address) {
+  const link = parseMapsLink(address);
+  if (link) {
+    if (isNaN(link.lat) || isNaN(link.lng)) throw new Error("Invalid coordinates");
+    return link;
+  }
+  const geo = await geocodeAddress(address);
+  return { lat: geo.lat, lng: geo.lng };
 }
-
-async function getRouteGeometry(locations) {
-  const coords = locations.map(l => `${l.lng},${l.lat}`).join(";");
-  const res = await fetch(`https://router.project-osrm.org/route/v1/driving/${coords}?overview=full&geometries=geojson`);
-  const data = await res.json();
-  if (data.code !== "Ok") return null;
-  return {
-    coordinates: data.routes[0].geometry.coordinates.map(([lng, lat]) => [lat, lng]),
-    distance: data.routes[0].distance,
-    duration: data.routes[0].duration,
-  };
+// Picker matches; a pasted maps link is its own exact match
+async function searchCandidates(query) {
+  const link = parseMapsLink(query);
+  return link ? [{ ...link, display: query, confidence: "manual" }] : geocodeCandidates(query);
 }
-
-// ============================================================
-// TSP SOLVER
-// ============================================================
-function solveTSP(matrix) {
-  const n = matrix.length;
-  if (n <= 1) return { order: [0], totalTime: 0 };
-  let bestOrder = null, bestTime = Infinity;
-  for (let start = 0; start < n; start++) {
-    const visited = new Array(n).fill(false);
-    const order = [start];
-    visited[start] = true;
-    let current = start, totalTime = 0;
-    for (let i = 1; i < n; i++) {
-      let nearest = -1, nearestDist = Infinity;
-      for (let j = 0; j < n; j++) {
-        if (!visited[j] && matrix[current][j] < nearestDist) {
-          nearestDist = matrix[current][j]; nearest = j;
-        }
-      }
-      if (nearest === -1) break;
-      visited[nearest] = true; order.push(nearest);
-      totalTime += nearestDist; current = nearest;
-    }
-    if (totalTime < bestTime) { bestTime = totalTime; bestOrder = [...order]; }
-  }
-  let improved = true;
-  while (improved) {
-    improved = false;
-    for (let i = 1; i < n - 2; i++) {
-      for (let j = i + 1; j < n - 1; j++) {
-        const [a, b, c, d] = [bestOrder[i-1], bestOrder[i], bestOrder[j], bestOrder[j+1]];
-        if (matrix[a][c] + matrix[b][d] < matrix[a][b] + matrix[c][d]) {
-          bestOrder.splice(i, j - i + 1, ...bestOrder.slice(i, j + 1).reverse());
-          improved = true;
-        }
-      }
-    }
-  }
-  let total = 0;
-  for (let i = 0; i < bestOrder.length - 1; i++) total += matrix[bestOrder[i]][bestOrder[i+1]];
-  return { order: bestOrder, totalTime: total };
+// Directions link for a whole sub-route; Google Maps takes at most 9 waypoints
+function mapsRouteUrl(stops) {
+  if (!stops.length) return null;
+  const pt = (l) => `${l.lat},${l.lng}`;
+  const dest = stops[stops.length - 1];
+  const waypoints = stops.slice(0, -1).slice(0, 9).map(pt).join("|");
+  return `https://www.google.com/maps/dir/?api=1&destination=${pt(dest)}${waypoints ? `&waypoints=${encodeURIComponent(waypoints)}` : ""}&travelmode=driving`;
 }
 
-// ============================================================
-// HELPERS
-// ============================================================
-const fmtTime = (s) => { if (!s) return "0m"; const h = Math.floor(s/3600), m = Math.floor((s%3600)/60); return h > 0 ? `${h}h ${m}m` : `${m}m`; };
-const fmtDist = (m) => { if (!m) return "0 km"; return (m/1000).toFixed(1) + " km"; };
-const DAYS = Array.from({ length: 12 }, (_, i) => i + 1);
-const EMPTY_DAY = (day) => ({ day, locations: [], optimizedOrder: null, routeGeometry: null, totalTime: 0, totalDist: 0, updatedAt: null });
-
 // ============================================================
 // MAP COMPONENT
 // ============================================================
-function MapView({ locations, route, onToggleVisited, isFullscreen }) {
+function MapView({ locations, route, routes, position, region, activeLeg, focusLeg, weekStops, customers, visitPoints, territory, lasso, onAddAt, onLasso, onToggleVisited, onOpenVisit, isFullscreen }) {
   const mapRef = useRef(null);
   const leafletMap = useRef(null);
-  const markersRef = useRef([]);
-  const polylineRef = useRef(null);
+  const markersRef = useRef(new Map()); // stop id → { marker, sig, loc }
+  const clustersRef = useRef([]);
+  const placeRef = useRef(() => {});
+  const fitKeyRef = useRef("");
+  const canvasRef = useRef(null);
+  const [layers, setLayers] = useState(loadMapLayers);
+  const [drawing, setDrawing] = useState(false);
+  const handlersRef = useRef({ onAddAt, onLasso, onToggleVisited, onOpenVisit });
+  useEffect(() => { handlersRef.current = { onAddAt, onLasso, onToggleVisited, onOpenVisit }; });
+  const polylinesRef = useRef([]);
+  const positionRef = useRef(null);
+  const legRef = useRef(null);
 
   useEffect(() => {
     if (!mapRef.current || leafletMap.current) return;
+    const { center, zoom } = activeRegion();
     leafletMap.current = L.map(mapRef.current, {
       zoomControl: false,
       attributionControl: false,
-    }).setView([21.17, 72.83], 12);
+    }).setView(center, zoom);
     L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom: 19 }).addTo(leafletMap.current);
     L.control.zoom({ position: "bottomright" }).addTo(leafletMap.current);
+    canvasRef.current = L.canvas();
+    // Popup buttons are plain HTML, so they reach the handlers through globals
+    window.frpToggle = (id) => handlersRef.current.onToggleVisited(id);
+    window.frpOpen = (id) => handlersRef.current.onOpenVisit(id);
   }, []);
 
   useEffect(() => {
@@ -160,20 +125,25 @@ function MapView({ locations, route, onToggleVisited, isFullscreen }) {
     setTimeout(() => leafletMap.current.invalidateSize(), 300);
   }, [isFullscreen]);
 
+  // An empty day shows the active region; days with stops fit their markers
   useEffect(() => {
-    if (!leafletMap.current) return;
-    markersRef.current.forEach(m => m.remove());
-    markersRef.current = [];
-    if (polylineRef.current) { polylineRef.current.remove(); polylineRef.current = null; }
-    if (!locations.length) return;
+    if (leafletMap.current && !locations.length) leafletMap.current.setView(region.center, region.zoom);
+  }, [region, locations.length]);
 
-    const bounds = [];
+  // Stop markers are kept per id and only rebuilt when what they show changes
+  useEffect(() => {
+    if (!leafletMap.current) return;
+    const stops = markersRef.current, seen = new Set();
     locations.forEach((loc, idx) => {
-      const isStart = loc.id === "__home__";
-const isEnd = loc.id === "__office__";
-const color = isStart ? "#22c55e" : isEnd ? "#ef4444" : loc.visited ? "#22c55e" : "#f97316";
-const border = isStart ? "#16a34a" : isEnd ? "#b91c1c" : loc.visited ? "#16a34a" : "#ea580c";
-const num = isStart ? "S" : isEnd ? "E" : loc.optimizedIndex !== undefined ? loc.optimizedIndex + 1 : idx + 1;
+      const isStart = isStartPoint(loc);
+const isEnd = isEndPoint(loc);
+const color = isStart ? "#22c55e" : isEnd ? "#ef4444" : loc.visited ? "#22c55e" : loc.repColor || "#f97316";
+const border = isStart ? loc.repColor || "#16a34a" : isEnd ? loc.repColor || "#b91c1c" : loc.visited ? "#16a34a" : loc.repColor ? "#0c0f14" : "#ea580c";
+const num = isStart ? "S" : isEnd ? "E" : loc.stopNo ?? (loc.optimizedIndex !== undefined ? loc.optimizedIndex + 1 : idx + 1);
+      seen.add(loc.id);
+      const sig = JSON.stringify([color, border, num, loc.lat, loc.lng, loc.name, loc.address, loc.eta, loc.openTime, loc.closeTime, loc.windowConflict, loc.visited]);
+      const had = stops.get(loc.id);
+      if (had && had.sig === sig) { had.loc = loc; return; }
       const icon = L.divIcon({
         className: "",
         html: `<div style="width:34px;height:34px;background:${color};border:3px solid ${border};border-radius:50% 50% 50% 0;transform:rotate(-45deg);display:flex;align-items:center;justify-content:center;box-shadow:0 3px 10px rgba(0,0,0,0.5);">
@@ -181,47 +151,280 @@ const num = isStart ? "S" : isEnd ? "E" : loc.optimizedIndex !== undefined ? loc
         </div>`,
         iconSize: [34, 34], iconAnchor: [17, 34], popupAnchor: [0, -38],
       });
-      const marker = L.marker([loc.lat, loc.lng], { icon }).addTo(leafletMap.current);
-      marker.bindPopup(`
+      const popup = `
         <div style="font-family:sans-serif;min-width:180px;padding:4px;">
-          <div style="font-weight:700;font-size:14px;margin-bottom:2px;">#${num} ${loc.name || "Location"}</div>
-          <div style="font-size:11px;color:#666;margin-bottom:10px;">${loc.address}</div>
+          <div style="font-weight:700;font-size:14px;margin-bottom:2px;">#${num} ${escapeHtml(loc.name || "Location")}</div>
+          <div style="font-size:11px;color:#666;margin-bottom:${loc.eta != null ? 4 : 10}px;">${escapeHtml(loc.address)}</div>
+          ${loc.eta != null ? `<div style="font-size:11px;margin-bottom:10px;color:${loc.windowConflict ? "#dc2626" : "#333"};">ETA ${fmtClock(loc.eta)}${loc.openTime || loc.closeTime ? ` · window ${escapeHtml(loc.openTime || "…")}–${escapeHtml(loc.closeTime || "…")}` : ""}${loc.windowConflict ? " · misses window" : ""}</div>` : ""}
           <div style="display:flex;gap:6px;">
             <button onclick="window.frpToggle('${loc.id}')" style="flex:1;padding:6px;background:${loc.visited ? "#ef4444" : "#22c55e"};color:#fff;border:none;border-radius:6px;cursor:pointer;font-size:12px;font-weight:600;">
               ${loc.visited ? "↩ Pending" : "✓ Done"}
             </button>
+            ${isStart || isEnd ? "" : `<button onclick="window.frpOpen('${loc.id}')" style="flex:1;padding:6px;background:#475569;color:#fff;border:none;border-radius:6px;cursor:pointer;font-size:12px;font-weight:600;">📝 Visit</button>`}
             <a href="https://www.google.com/maps/dir/?api=1&destination=${loc.lat},${loc.lng}" target="_blank"
               style="flex:1;padding:6px;background:#3b82f6;color:#fff;border-radius:6px;text-decoration:none;font-size:12px;font-weight:600;text-align:center;">
               ↗ Go
             </a>
           </div>
         </div>
-      `);
-      bounds.push([loc.lat, loc.lng]);
-      markersRef.current.push(marker);
+      `;
+      if (had) {
+        had.marker.setLatLng([loc.lat, loc.lng]).setIcon(icon).setPopupContent(popup);
+        Object.assign(had, { sig, loc });
+      } else {
+        stops.set(loc.id, { marker: L.marker([loc.lat, loc.lng], { icon }).bindPopup(popup), sig, loc });
+      }
+    });
+    stops.forEach((s, id) => { if (!seen.has(id)) { s.marker.remove(); stops.delete(id); } });
+    placeRef.current();
+
+    // Re-fit only when the set of stops changes, not when one is ticked off
+    const key = locations.map(l => l.id).sort().join();
+    if (key !== fitKeyRef.current && locations.length) leafletMap.current.fitBounds(locations.map(l => [l.lat, l.lng]), { padding: [50, 50] });
+    fitKeyRef.current = key;
+  }, [locations]);
+
+  // Shows the stops the pending/visited toggles allow, clustered below CLUSTER_MAX_ZOOM.
+  // Start/end points are always shown on their own.
+  useEffect(() => {
+    placeRef.current = () => {
+      const map = leafletMap.current;
+      if (!map) return;
+      clustersRef.current.forEach(c => c.remove());
+      clustersRef.current = [];
+      const shown = [], single = new Set();
+      markersRef.current.forEach(s => {
+        if (isStartPoint(s.loc) || isEndPoint(s.loc)) single.add(s);
+        else if (s.loc.visited ? layers.visited : layers.pending) shown.push(s);
+      });
+      const zoom = map.getZoom();
+      const groups = zoom < CLUSTER_MAX_ZOOM
+        ? clusterPoints(shown.map(s => ({ lat: s.loc.lat, lng: s.loc.lng, s })), (ll) => map.project(ll, zoom))
+        : shown.map(s => ({ items: [{ s }] }));
+      groups.forEach(g => {
+        if (g.items.length === 1) { single.add(g.items[0].s); return; }
+        const done = g.items.filter(i => i.s.loc.visited).length;
+        const cluster = L.marker([g.lat, g.lng], { icon: clusterIcon(g.items.length, done, g.items[0].s.loc.repColor) }).addTo(map);
+        cluster.on("click", () => map.fitBounds(g.items.map(i => [i.lat, i.lng]), { padding: [50, 50], maxZoom: CLUSTER_MAX_ZOOM }));
+        clustersRef.current.push(cluster);
+      });
+      markersRef.current.forEach(s => {
+        if (single.has(s)) { if (!map.hasLayer(s.marker)) s.marker.addTo(map); }
+        else s.marker.remove();
+      });
+    };
+    placeRef.current();
+  }, [layers]);
+
+  useEffect(() => {
+    const map = leafletMap.current;
+    if (!map) return;
+    const onZoom = () => placeRef.current();
+    map.on("zoomend", onZoom);
+    return () => map.off("zoomend", onZoom);
+  }, []);
+
+  useEffect(() => {
+    if (!leafletMap.current) return;
+    polylinesRef.current.forEach(p => p.remove());
+    polylinesRef.current = [];
+    const lines = routes ? routes.filter(r => r.coordinates) : route ? [{ coordinates: route, color: "#f97316" }] : [];
+    lines.forEach(r => {
+      polylinesRef.current.push(L.polyline(r.coordinates, { color: r.color, weight: 4, opacity: 0.85, dashArray: "10,5" }).addTo(leafletMap.current));
     });
+  }, [route, routes]);
+
+  // Background layers: the rest of the week, the customer master and the heatmap
+  useEffect(() => {
+    const map = leafletMap.current;
+    if (!map) return;
+    const group = L.layerGroup().addTo(map);
+    const dot = (p, color, text) => L.circleMarker([p.lat, p.lng], { renderer: canvasRef.current, radius: 5, color: "#0c0f14", weight: 1, fillColor: color, fillOpacity: 0.9 })
+      .bindPopup(`<div style="font-family:sans-serif;font-size:12px;"><b>${escapeHtml(p.name || "Location")}</b><br/><span style="color:#666;">${escapeHtml(text)}</span></div>`).addTo(group);
+    if (layers.week) weekStops.forEach(l => dot(l, l.visited ? "#16a34a" : "#94a3b8", `${fmtDay(l.date)} · ${l.address}`));
+    if (layers.customers) customers.filter(c => c.lat != null).forEach(c => dot(c, "#3b82f6", c.address));
+    if (layers.heat && visitPoints.length) group.addLayer(new HeatLayer(visitPoints));
+    return () => group.remove();
+  }, [layers, weekStops, customers, visitPoints]);
 
-    if (route) {
-      polylineRef.current = L.polyline(route, { color: "#f97316", weight: 4, opacity: 0.85, dashArray: "10,5" }).addTo(leafletMap.current);
+  // Live position: accuracy ring + dot, moved in place so popups and zoom are left alone
+  useEffect(() => {
+    if (!leafletMap.current) return;
+    if (!position) {
+      positionRef.current?.forEach(l => l.remove());
+      positionRef.current = null;
+      return;
+    }
+    const at = [position.lat, position.lng];
+    if (!positionRef.current) {
+      positionRef.current = [
+        L.circle(at, { radius: position.accuracy || 0, color: "#3b82f6", weight: 1, fillOpacity: 0.12 }),
+        L.circleMarker(at, { radius: 7, color: "#fff", weight: 2, fillColor: "#3b82f6", fillOpacity: 1 }),
+      ].map(l => l.addTo(leafletMap.current));
+    } else {
+      positionRef.current[0].setLatLng(at).setRadius(position.accuracy || 0);
+      positionRef.current[1].setLatLng(at);
     }
-    if (bounds.length) leafletMap.current.fitBounds(bounds, { padding: [50, 50] });
-    window.frpToggle = (id) => onToggleVisited(id);
-  }, [locations, route]);
+  }, [position]);
+
+  // Active directions leg drawn solid over the dashed route
+  useEffect(() => {
+    legRef.current?.remove();
+    legRef.current = null;
+    if (!leafletMap.current || !activeLeg) return;
+    legRef.current = L.polyline(activeLeg, { color: "#fde047", weight: 7, opacity: 0.8 }).addTo(leafletMap.current);
+    if (focusLeg) leafletMap.current.fitBounds(legRef.current.getBounds(), { padding: [40, 40] });
+  }, [activeLeg, focusLeg]);
+
+  // Right-click, or a long press on touch screens, adds a stop at that point.
+  // Android also sends contextmenu for a long press, so one straight after is ignored.
+  // Off while a lasso is being drawn, where holding the pointer is part of the trace.
+  useEffect(() => {
+    const map = leafletMap.current;
+    if (!map || drawing) return;
+    const box = map.getContainer();
+    let timer = null, origin = null, pressedAt = 0;
+    const cancel = () => { clearTimeout(timer); timer = null; };
+    const onContext = (e) => { if (Date.now() - pressedAt > 1000) handlersRef.current.onAddAt(e.latlng); };
+    const onStart = (e) => {
+      cancel();
+      if (e.touches.length !== 1) return;
+      const t = e.touches[0];
+      origin = [t.clientX, t.clientY];
+      timer = setTimeout(() => { pressedAt = Date.now(); handlersRef.current.onAddAt(map.mouseEventToLatLng(t)); }, 600);
+    };
+    const onMove = (e) => {
+      const t = e.touches[0];
+      if (timer && Math.hypot(t.clientX - origin[0], t.clientY - origin[1]) > 10) cancel();
+    };
+    map.on("contextmenu", onContext);
+    box.addEventListener("touchstart", onStart, { passive: true });
+    box.addEventListener("touchmove", onMove, { passive: true });
+    box.addEventListener("touchend", cancel);
+    return () => {
+      cancel();
+      map.off("contextmenu", onContext);
+      box.removeEventListener("touchstart", onStart);
+      box.removeEventListener("touchmove", onMove);
+      box.removeEventListener("touchend", cancel);
+    };
+  }, [drawing]);
+
+  // Lasso: while drawing, dragging the map traces a polygon instead of panning
+  useEffect(() => {
+    const map = leafletMap.current;
+    if (!map || !drawing) return;
+    const box = map.getContainer();
+    let trace = null, points = [];
+    map.dragging.disable();
+    box.style.touchAction = "none";
+    const onDown = (e) => {
+      if (e.button !== 0) return;
+      points = [map.mouseEventToLatLng(e)];
+      trace = L.polyline(points, { color: "#a855f7", weight: 3, dashArray: "4,4" }).addTo(map);
+      box.setPointerCapture(e.pointerId);
+    };
+    const onMove = (e) => {
+      if (!trace) return;
+      points.push(map.mouseEventToLatLng(e));
+      trace.setLatLngs(points);
+    };
+    const onUp = () => {
+      if (!trace) return;
+      trace.remove(); trace = null;
+      if (points.length > 2) { handlersRef.current.onLasso(points.map(p => [p.lat, p.lng])); setDrawing(false); }
+    };
+    box.addEventListener("pointerdown", onDown);
+    box.addEventListener("pointermove", onMove);
+    box.addEventListener("pointerup", onUp);
+    return () => {
+      trace?.remove();
+      map.dragging.enable();
+      box.style.touchAction = "";
+      box.removeEventListener("pointerdown", onDown);
+      box.removeEventListener("pointermove", onMove);
+      box.removeEventListener("pointerup", onUp);
+    };
+  }, [drawing]);
+
+  // The last lasso and the active territory stay outlined
+  useEffect(() => {
+    const map = leafletMap.current;
+    if (!map) return;
+    const shapes = [
+      territory && L.polygon(territory.polygon, { color: "#a855f7", weight: 2, fillOpacity: 0.05, interactive: false }),
+      lasso && L.polygon(lasso, { color: "#a855f7", weight: 2, dashArray: "6,4", fillOpacity: 0.12, interactive: false }),
+    ].filter(Boolean);
+    shapes.forEach(l => l.addTo(map));
+    return () => shapes.forEach(l => l.remove());
+  }, [territory, lasso]);
 
-  return <div ref={mapRef} style={{ width: "100%", height: "100%", background: "#1a2030" }} />;
+  const toggleLayer = (key) => setLayers(l => saveMapLayers({ ...l, [key]: !l[key] }));
+
+  return (
+    <>
+      <div ref={mapRef} style={{ width: "100%", height: "100%", background: "#1a2030" }} />
+      <div className="map-layers">
+        {Object.entries(MAP_LAYERS).map(([key, l]) => (
+          <button key={key} className={`map-layer ${layers[key] ? "on" : ""}`} title={l.label} onClick={() => toggleLayer(key)}>{l.icon}</button>
+        ))}
+        <button className={`map-layer lasso ${drawing ? "on" : ""}`} title="Lasso: draw around stops to select them" onClick={() => setDrawing(d => !d)}>✏</button>
+      </div>
+    </>
+  );
 }
 
 // ============================================================
 // MAIN APP
 // ============================================================
 export default function App() {
-  const [activeDay, setActiveDay] = useState(1);
-  const [activeWeek, setActiveWeek] = useState(1);
-  const [dayData, setDayData] = useState(() => Object.fromEntries(DAYS.map(d => [d, EMPTY_DAY(d)])));
+  const [activeDate, setActiveDate] = useState(todayISO);
+  const [dayData, setDayData] = useState({});
+  const [customers, setCustomers] = useState([]);
+  const [planning, setPlanning] = useState(false);
   const [addressInput, setAddressInput] = useState("");
   const [nameInput, setNameInput] = useState("");
+  const [openInput, setOpenInput] = useState("");
+  const [closeInput, setCloseInput] = useState("");
+  const [serviceInput, setServiceInput] = useState("");
+  const [priorityInput, setPriorityInput] = useState("normal");
+  const [penaltyInput, setPenaltyInput] = useState("");
+  const [providerCfg, setProviderCfg] = useState(getProviderConfig);
+  const [team, setTeam] = useState(() => JSON.parse(localStorage.getItem("frp_team") || "[]"));
+  const [places, setPlaces] = useState(() => JSON.parse(localStorage.getItem("frp_places") || "[]"));
+  const [placeForm, setPlaceForm] = useState({ name: "", address: "" });
+  const [repForm, setRepForm] = useState({ name: "", start: "", end: "", maxStops: "", maxHours: "" });
+  const [viewRep, setViewRep] = useState("all");
+  const [tracking, setTracking] = useState(false);
+  const [position, setPosition] = useState(null);
+  const [arrival, setArrival] = useState(null);
+  const [visitSheetId, setVisitSheetId] = useState(null);
+  const [trackingCfg, setTrackingCfg] = useState(loadTrackingConfig);
+  const [syncCfg, setSyncCfg] = useState(loadSyncConfig);
+  const [syncing, setSyncing] = useState(false);
+  const trackerRef = useRef(null);
+  const dismissedRef = useRef(new Set());
+  const onFixRef = useRef(null);
+  const listRef = useRef(null);
+  const [history, setHistory] = useState(() => emptyHistory(todayISO()));
+  const historiesRef = useRef(new Map()); // date → promise of that day's undo history
+  const activeDateRef = useRef(activeDate);
+  const dayDataRef = useRef(dayData);
+  const [undoToast, setUndoToast] = useState(null);
+  const onKeyRef = useRef(null);
+  const [selecting, setSelecting] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [transferDate, setTransferDate] = useState("");
+  const [regionCfg, setRegionCfg] = useState(getRegionConfig);
+  const [picker, setPicker] = useState(null); // { title, query, candidates, error, current, target }
+  const [territoryCfg, setTerritoryCfg] = useState(loadTerritories);
+  const [lasso, setLasso] = useState(null); // last polygon drawn on the map
+  const [territoryName, setTerritoryName] = useState("");
+  const [legPick, setLegPick] = useState(null); // directions leg chosen by hand; null follows progress
+  const [dayPlan, setDayPlan] = useState(loadDayPlan);
   const [bulkInput, setBulkInput] = useState("");
   const [showBulk, setShowBulk] = useState(false);
+  const [showImport, setShowImport] = useState(false);
   const [status, setStatus] = useState("");
   const [optimizing, setOptimizing] = useState(false);
   const [geocoding, setGeocoding] = useState(false);
@@ -238,64 +441,178 @@ const [officeCoords, setOfficeCoords] = useState(() => {
   const s = localStorage.getItem("frp_office_coords");
   return s ? JSON.parse(s) : null;
 });
-  useEffect(() => {
+  // Reads days and customers from IndexedDB: at start-up and after a restore or sync
+  const reloadData = useCallback(() => Promise.all([
     loadAllDays().then(rows => {
       if (rows.length) {
         setDayData(prev => {
           const next = { ...prev };
-          rows.forEach(r => { next[r.day] = r; });
+          rows.forEach(r => { next[r.date] = r; });
           return next;
         });
       }
-      setDbReady(true);
-    }).catch(() => setDbReady(true));
-  }, []);
+    }),
+    getAllRecords(CUSTOMER_STORE).then(cs => setCustomers(cs.filter(c => !c.deleted))),
+  ]), []);
+  useEffect(() => {
+    reloadData().catch(e => console.error("✗ Load failed", e)).finally(() => setDbReady(true));
+  }, [reloadData]);
 
-  const currentDay = dayData[activeDay];
-  const sortedMiddle = [...currentDay.locations].sort((a, b) => {
-  if (a.optimizedIndex == null && b.optimizedIndex == null) return 0;
-  if (a.optimizedIndex == null) return 1;
-  if (b.optimizedIndex == null) return -1;
-  return a.optimizedIndex - b.optimizedIndex;
-});
+  // Each day's undo history is loaded once; every change is chained on the
+  // previous one, so an edit that lands after a day switch, or before the
+  // stack has loaded, still goes on top of that day's saved entries.
+  const historyOf = (date) => {
+    if (!historiesRef.current.has(date)) historiesRef.current.set(date, loadHistory(date));
+    return historiesRef.current.get(date);
+  };
+  const changeHistory = (date, change) => {
+    const next = historyOf(date).then(h => {
+      const out = change(h) || h;
+      if (date === activeDateRef.current) setHistory(out);
+      return out;
+    });
+    historiesRef.current.set(date, next.catch(e => { console.error("✗ History update failed", e); return loadHistory(date); }));
+  };
+
+  useEffect(() => { dayDataRef.current = dayData; }, [dayData]);
+  useEffect(() => {
+    let live = true;
+    activeDateRef.current = activeDate;
+    historyOf(activeDate).then(h => { if (live) setHistory(h); });
+    setUndoToast(null);
+    setSelected([]); setSelecting(false); setTransferDate(""); setLegPick(null); setLasso(null);
+    return () => { live = false; };
+  }, [activeDate]);
+
+  // Settings restored from a backup land in localStorage; pick them up without a reload
+  const reloadSettings = () => {
+    const json = (k) => { const v = localStorage.getItem(k); return v ? JSON.parse(v) : null; };
+    setHomeAddress(localStorage.getItem("frp_home") || ""); setHomeCoords(json("frp_home_coords"));
+    setOfficeAddress(localStorage.getItem("frp_office") || ""); setOfficeCoords(json("frp_office_coords"));
+    setDayPlan(loadDayPlan());
+    setTeam(json("frp_team") || []);
+    setPlaces(json("frp_places") || []);
+    setProviderCfg(setProviderConfig(loadProviderConfig()));
+    setTrackingCfg(loadTrackingConfig());
+    setRegionCfg(setRegionConfig(loadRegionConfig()));
+    setTerritoryCfg(loadTerritories());
+  };
+  const afterRestore = async () => { await reloadData(); reloadSettings(); };
+
+  // ============================================================
+  // SYNC
+  // ============================================================
+  const updateSyncCfg = (patch) => setSyncCfg(c => {
+    // A different server has its own cursor; start from scratch and push everything
+    const reset = patch.baseUrl != null && patch.baseUrl !== c.baseUrl ? { cursor: "", pushedAt: "", lastSync: null } : {};
+    return saveSyncConfig({ ...c, ...patch, ...reset });
+  });
+  const runSync = useCallback(async (quiet = false) => {
+    setSyncing(true);
+    if (!quiet) setStatus("⇅ Syncing...");
+    try {
+      const r = await syncNow();
+      if (r.days || r.customers) await reloadData();
+      if (!quiet || r.days || r.customers) setStatus(`✓ Synced · ${r.days + r.customers} in, ${r.pushed} out`);
+    } catch (e) { if (!quiet) setStatus(`✗ ${e.message}`); }
+    finally { setSyncing(false); setSyncCfg(loadSyncConfig()); }
+  }, [reloadData]);
+  useEffect(() => {
+    if (!syncCfg.enabled || !syncCfg.baseUrl) return;
+    const sync = () => { if (navigator.onLine) runSync(true); };
+    const first = setTimeout(sync, 0);
+    const timer = setInterval(sync, syncCfg.intervalMin * 60000);
+    window.addEventListener("online", sync);
+    return () => { clearTimeout(first); clearInterval(timer); window.removeEventListener("online", sync); };
+  }, [syncCfg.enabled, syncCfg.baseUrl, syncCfg.intervalMin, runSync]);
 
-const sortedLocs = [
-  ...(currentDay.startLoc ? [{ ...currentDay.startLoc, optimizedIndex: 0 }] : []),
-  ...sortedMiddle,
-  ...(currentDay.endLoc ? [{ ...currentDay.endLoc, optimizedIndex: 9999 }] : []),
-];
+  const allDays = useMemo(() => Object.values(dayData), [dayData]);
+  // Map background layers: the other days of this week and every visit on record
+  const { weekStops, visitPoints } = useMemo(() => {
+    const week = new Set(weekDates(activeDate));
+    return {
+      weekStops: allDays.filter(d => d.date !== activeDate && week.has(d.date)).flatMap(d => d.locations.map(l => ({ ...l, date: d.date }))),
+      visitPoints: allDays.flatMap(d => d.locations.filter(l => l.visited).map(l => [l.lat, l.lng])),
+    };
+  }, [allDays, activeDate]);
+  const territoryCustomers = useMemo(() => customers.filter(c => inTerritory(c, activeTerritory(territoryCfg))), [customers, territoryCfg]);
+  const storedDay = dayData[activeDate];
+  const currentDay = storedDay || EMPTY_DAY(activeDate);
+  // Memoized so MapView only rebuilds markers when the plan changes, not on every render (e.g. each GPS fix)
+  const { sortedMiddle, dayRoutes, shownRoutes, sortedLocs } = useMemo(() => {
+    const day = storedDay || EMPTY_DAY(activeDate);
+    // Stops the last optimize left out are listed on their own, not on the route
+    const dropped = new Set(day.optimizedOrder && day.dropped ? day.dropped.map(d => d.id) : []);
+    const sortedMiddle = day.locations.filter(l => !dropped.has(l.id)).sort((a, b) => {
+      if (a.optimizedIndex == null && b.optimizedIndex == null) return 0;
+      if (a.optimizedIndex == null) return 1;
+      if (b.optimizedIndex == null) return -1;
+      return a.optimizedIndex - b.optimizedIndex;
+    });
+    const dayRoutes = day.routes || null;
+    const shownRoutes = dayRoutes ? dayRoutes.filter(r => viewRep === "all" || r.repId === viewRep) : null;
+    const sortedLocs = dayRoutes ? [
+      ...shownRoutes.flatMap(r => [
+        ...(r.startLoc ? [{ ...r.startLoc, repColor: r.color }] : []),
+        ...sortedMiddle.filter(l => l.repId === r.repId).map((l, i) => ({ ...l, repColor: r.color, stopNo: i + 1 })),
+        ...(r.endLoc ? [{ ...r.endLoc, repColor: r.color }] : []),
+      ]),
+      ...(viewRep === "all" ? sortedMiddle.filter(l => !dayRoutes.some(r => r.repId === l.repId)) : []),
+    ] : [
+      ...(day.startLoc ? [{ ...day.startLoc, optimizedIndex: 0 }] : []),
+      ...sortedMiddle,
+      ...(day.endLoc ? [{ ...day.endLoc, optimizedIndex: 9999 }] : []),
+    ];
+    return { sortedMiddle, dayRoutes, shownRoutes, sortedLocs };
+  }, [storedDay, activeDate, viewRep]);
+  // Directions follow the route on screen: the day's route or the one rep shown
+  const legs = (dayRoutes ? shownRoutes.length === 1 && shownRoutes[0].legs : currentDay.routeGeometry && currentDay.legs) || null;
+  const droppedStops = currentDay.optimizedOrder && currentDay.dropped
+    ? currentDay.dropped.map(d => ({ ...d, loc: currentDay.locations.find(l => l.id === d.id) })).filter(d => d.loc)
+    : [];
+  // A measured manual order (day.manual) has a timeline too, until stops change
+  const timeline = ((currentDay.optimizedOrder || (currentDay.manual && currentDay.routeGeometry)) && (dayRoutes ? shownRoutes.length === 1 && shownRoutes[0].timeline : currentDay.timeline)) || null;
+  const activeLeg = legs?.length
+    ? legPick != null && legPick < legs.length ? legPick : currentLeg(legs, id => sortedLocs.find(l => l.id === id)?.visited)
+    : null;
   const visited = currentDay.locations.filter(l => l.visited).length;
 const pending = currentDay.locations.length - visited;
 const progress = currentDay.locations.length ? (visited / currentDay.locations.length) * 100 : 0;
 const totalStopsCount = currentDay.locations.length
   + (currentDay.startLoc ? 1 : 0)
-  + (currentDay.endLoc ? 1 : 0);
+  + (currentDay.endLoc ? 1 : 0)
+  + (dayRoutes ? dayRoutes.reduce((n, r) => n + (r.startLoc ? 1 : 0) + (r.endLoc ? 1 : 0), 0) : 0);
+const activeReps = team.filter(r => (currentDay.repIds || []).includes(r.id));
 
-  const updateCurrentDay = useCallback((updater) => {
+  const updateDay = useCallback((date, updater) => {
     setDayData(prev => {
-      const updated = { ...prev, [activeDay]: updater(prev[activeDay]) };
-      saveDay({ ...updated[activeDay], updatedAt: new Date().toISOString() })
-  .then(() => console.log("✓ Saved day", activeDay))
+      // updatedAt lives in state too: backup merge and sync compare it
+      const updated = { ...prev, [date]: { ...updater(prev[date] || EMPTY_DAY(date)), updatedAt: new Date().toISOString() } };
+      dayDataRef.current = updated;
+      saveDay(updated[date])
+  .then(() => console.log("✓ Saved day", date))
   .catch(e => console.error("✗ Save failed", e));
       return updated;
     });
-  }, [activeDay]);
+  }, []);
+  // Undoable edit: the day as it was goes on that day's undo stack. The
+  // snapshot comes from the latest state, not this render's, since async
+  // edits (optimize, bulk add, …) land long after they started.
+  // `linked` ({ date, updater }) changes a second day in the same undoable step
+  const editDay = (date, updater, label, linked = null) => {
+    const dayOf = (d) => dayDataRef.current[d] || EMPTY_DAY(d);
+    const before = dayOf(date);
+    const after = updater(before);
+    const link = linked && { date: linked.date, day: dayOf(linked.date) };
+    changeHistory(date, h => recordEdit(h, label, before, after, link));
+    updateDay(date, updater);
+    if (linked) updateDay(linked.date, linked.updater);
+  };
+  const updateCurrentDay = (updater, label) => label ? editDay(activeDate, updater, label) : updateDay(activeDate, updater);
   const saveHomeOffice = async (type, address) => {
   setStatus(`Saving ${type}...`);
   try {
-    const gm =
-      address.match(/!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/) ||
-      address.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/) ||
-      address.match(/place\/(-?\d+\.\d+),(-?\d+\.\d+)/);
-    let geo;
-    if (gm) {
-      const lat = parseFloat(gm[1]), lng = parseFloat(gm[2]);
-      if (isNaN(lat) || isNaN(lng)) throw new Error("Invalid coordinates");
-      geo = { lat, lng };
-    } else {
-      geo = await geocodeAddress(address);
-    }
-    const coords = { lat: geo.lat, lng: geo.lng };
+    const coords = await resolvePoint(address);
     if (type === "home") {
       setHomeCoords(coords);
       localStorage.setItem("frp_home", address);
@@ -310,184 +627,755 @@ const totalStopsCount = currentDay.locations.length
   } catch (e) { setStatus(`✗ ${e.message}`); }
 };
   const navigateNextStop = () => {
-  const next = sortedLocs.find(l => !l.visited && l.id !== "__home__" && l.id !== "__office__");
+  const next = sortedLocs.find(l => !l.visited && !isStartPoint(l) && !isEndPoint(l));
   if (!next) { setStatus("✓ All locations completed!"); return; }
   window.open(`https://www.google.com/maps/dir/?api=1&destination=${next.lat},${next.lng}&travelmode=driving`, "_blank");
 };
 
+  const resetAddForm = () => {
+    setAddressInput(""); setNameInput(""); setOpenInput(""); setCloseInput(""); setServiceInput(""); setPriorityInput("normal"); setPenaltyInput("");
+  };
+
   const addLocation = async () => {
     const addr = addressInput.trim();
     if (!addr) return;
-    const googleMatch =
-  addr.match(/!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/) ||
-  addr.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/) ||
-  addr.match(/place\/(-?\d+\.\d+),(-?\d+\.\d+)/);
-    if (googleMatch) {
-      const loc = { id: crypto.randomUUID(), address: addr, name: nameInput.trim() || "Shop", lat: parseFloat(googleMatch[1]), lng: parseFloat(googleMatch[2]), visited: false, optimizedIndex: undefined };
-      updateCurrentDay(d => ({ ...d, locations: [...d.locations, loc], optimizedOrder: null, routeGeometry: null }));
-      setAddressInput(""); setNameInput(""); setStatus("✓ Added from Google Maps link"); setActiveTab("list");
+    if (openInput && closeInput && parseClock(openInput) >= parseClock(closeInput)) { setStatus("✗ Window closes before it opens"); return; }
+    const windowFields = {
+      openTime: openInput || null, closeTime: closeInput || null, serviceMin: Number(serviceInput) || 0,
+      priority: priorityInput, penalty: penaltyInput === "" ? null : Number(penaltyInput) || 0,
+    };
+    const link = parseMapsLink(addr);
+    if (link) {
+      const loc = { id: crypto.randomUUID(), address: addr, name: nameInput.trim() || "Shop", lat: link.lat, lng: link.lng, confidence: "manual", visited: false, optimizedIndex: undefined, ...windowFields };
+      updateCurrentDay(d => ({ ...d, locations: [...d.locations, loc], ...RESET_ROUTE }), `add ${loc.name}`);
+      resetAddForm(); setStatus("✓ Added from Google Maps link"); setActiveTab("list");
       return;
     }
+    const target = { kind: "new", name: nameInput.trim(), fields: windowFields };
+    const found = await findCandidates(addr);
+    // A single building-level match needs no review
+    if (found.candidates.length === 1 && found.candidates[0].confidence === "high") placeStop(found.candidates[0], addr, target);
+    else setPicker({ title: nameInput.trim() || addr, query: addr, ...found, current: null, target });
+  };
+
+  // ============================================================
+  // GEOCODE REVIEW
+  // ============================================================
+  const findCandidates = async (query) => {
     setGeocoding(true); setStatus("Geocoding...");
     try {
-      const geo = await geocodeAddress(addr);
-      const loc = { id: crypto.randomUUID(), address: addr, name: nameInput.trim() || addr.split(",")[0], lat: geo.lat, lng: geo.lng, display: geo.display, visited: false, optimizedIndex: undefined };
-      updateCurrentDay(d => ({ ...d, locations: [...d.locations, loc], optimizedOrder: null, routeGeometry: null }));
-      setAddressInput(""); setNameInput(""); setStatus(`✓ Added: ${loc.name}`); setActiveTab("list");
-    } catch (e) { setStatus(`✗ ${e.message}`); }
-    finally { setGeocoding(false); }
+      const candidates = await searchCandidates(query);
+      setStatus(`${candidates.length} match${candidates.length > 1 ? "es" : ""} for ${query}`);
+      return { candidates, error: "" };
+    } catch (e) {
+      setStatus(`✗ ${e.message}`);
+      return { candidates: [], error: e.message };
+    } finally { setGeocoding(false); }
+  };
+
+  const openPicker = async (query, target, current = null) => {
+    const found = await findCandidates(query);
+    setPicker({ title: target.name || query, query, ...found, current, target });
+  };
+
+  // target.kind: "new" (add form), "queue" (needs-attention entry) or "stop" (re-pin an existing stop)
+  const placeStop = (point, query, target) => {
+    const geo = { lat: point.lat, lng: point.lng, display: point.display || null, confidence: point.confidence };
+    if (target.kind === "stop") {
+      updateCurrentDay(d => ({ ...d, locations: d.locations.map(l => l.id === target.id ? { ...l, ...geo } : l), ...RESET_ROUTE }), `move pin of ${target.name}`);
+      setStatus(`✓ Pin updated: ${target.name}`);
+    } else {
+      const loc = { id: crypto.randomUUID(), address: query, name: target.name || query.split(",")[0], ...geo, visited: false, optimizedIndex: undefined, ...target.fields };
+      updateCurrentDay(d => ({ ...d, locations: [...d.locations, loc], attention: (d.attention || []).filter(a => a.id !== target.id), ...RESET_ROUTE }), `add ${loc.name}`);
+      if (target.kind === "new") resetAddForm();
+      setStatus(`✓ Added: ${loc.name}`); setActiveTab("list");
+    }
+    setPicker(null);
+  };
+
+  const dismissAttention = (id) => {
+    updateCurrentDay(d => ({ ...d, attention: (d.attention || []).filter(a => a.id !== id) }), "dismiss unresolved address");
   };
 
   const addBulk = async () => {
     const lines = bulkInput.trim().split("\n").map(l => l.trim()).filter(Boolean);
     if (!lines.length) return;
     setGeocoding(true);
-    const results = [];
+    const results = [], failed = [];
     for (let i = 0; i < lines.length; i++) {
       setStatus(`Geocoding ${i + 1}/${lines.length}...`);
       try {
-  const gmatch =
-    lines[i].match(/!3d(-?\d+\.\d+)!4d(-?\d+\.\d+)/) ||
-    lines[i].match(/@(-?\d+\.\d+),(-?\d+\.\d+)/) ||
-    lines[i].match(/place\/(-?\d+\.\d+),(-?\d+\.\d+)/);
-  const geo = gmatch
-    ? { lat: parseFloat(gmatch[1]), lng: parseFloat(gmatch[2]) }
-    : await geocodeAddress(lines[i]);
-  const name = gmatch ? "Shop" : lines[i].split(",")[0];
-  results.push({ id: crypto.randomUUID(), address: lines[i], name, lat: geo.lat, lng: geo.lng, visited: false, optimizedIndex: undefined });
-  if (!gmatch) await new Promise(r => setTimeout(r, 1000));
-} catch { await new Promise(r => setTimeout(r, 500)); }
+  const link = parseMapsLink(lines[i]);
+  const geo = link ? { ...link, confidence: "manual" } : await geocodeAddress(lines[i]);
+  const name = link ? "Shop" : lines[i].split(",")[0];
+  results.push({ id: crypto.randomUUID(), address: lines[i], name, lat: geo.lat, lng: geo.lng, display: geo.display || null, confidence: geo.confidence, visited: false, optimizedIndex: undefined });
+} catch (e) {
+  // Provider already retried; park the line for review instead of dropping it
+  failed.push({ id: crypto.randomUUID(), address: lines[i], error: e.message });
+}
+    }
+    if (results.length || failed.length) {
+      updateCurrentDay(d => ({ ...d, locations: [...d.locations, ...results], attention: [...(d.attention || []), ...failed], ...RESET_ROUTE }), `bulk add (${results.length})`);
     }
-    updateCurrentDay(d => ({ ...d, locations: [...d.locations, ...results], optimizedOrder: null, routeGeometry: null }));
     setBulkInput(""); setShowBulk(false); setGeocoding(false);
-    setStatus(`✓ Added ${results.length}/${lines.length} locations`); setActiveTab("list");
+    const failMsg = failed.length ? ` · ⚠ ${failed.length} need attention` : "";
+    setStatus(`✓ Added ${results.length}/${lines.length} locations${failMsg}`); setActiveTab("list");
+  };
+
+  const addImported = (records) => {
+    const locs = records.map(r => ({
+      id: crypto.randomUUID(), address: r.address || `${r.lat},${r.lng}`, name: r.name || r.address.split(",")[0] || "Shop",
+      lat: r.lat, lng: r.lng, phone: r.phone || "", notes: r.notes || "", visited: false, optimizedIndex: undefined,
+    }));
+    updateCurrentDay(d => ({ ...d, locations: [...d.locations, ...locs], ...RESET_ROUTE }), `import (${locs.length})`);
+    setStatus(`✓ Imported ${locs.length} locations`);
+  };
+
+  // ============================================================
+  // DAY PLAN
+  // ============================================================
+  const updateDayPlan = (patch) => setDayPlan(p => saveDayPlan({ ...p, ...patch }));
+
+  // Stops without their own service time take the plan's default; start/end
+  // points and the rep's position take none
+  const windowsFor = (locs) => buildWindows(locs).map((w, i) => locs[i].id.startsWith("__")
+    ? { ...w, service: 0 }
+    : { ...w, service: w.service || (Number(dayPlan.serviceMin) || 0) * 60 });
+
+  // Times for `order` (indices into locs) and the summary stored on the day or
+  // rep route: { depart, end, overflow, lunch: { afterId, start, end } | null, defer: [ids] }
+  const planTimeline = (order, locs, matrix, departAt) => {
+    const windows = windowsFor(locs);
+    const { stops, lunch, end, overflow } = buildTimeline(order, matrix, windows, dayPlan, departAt);
+    const movable = (i) => !locs[i].id.startsWith("__") && !locs[i].visited && !locs[i].pinned;
+    const defer = overflow ? suggestDeferrals(order, matrix, windows, dayPlan, departAt, movable).map(i => locs[i].id) : [];
+    return { stops, timeline: { depart: departAt, end, overflow, lunch: lunch && { afterId: locs[order[lunch.after]].id, start: lunch.start, end: lunch.end }, defer } };
   };
 
   const optimizeRoute = async () => {
     const middleLocs = currentDay.locations;
 if (middleLocs.length < 1) { setStatus("Need at least 1 location"); return; }
-const startLoc = homeCoords ? { id: "__home__", name: "Start Point", address: homeAddress, lat: homeCoords.lat, lng: homeCoords.lng, visited: false, optimizedIndex: undefined } : null;
-const endLoc = officeCoords ? { id: "__office__", name: "End Point", address: officeAddress, lat: officeCoords.lat, lng: officeCoords.lng, visited: false, optimizedIndex: undefined } : null;
+if (activeReps.length) return optimizeTeamRoute(activeReps);
+const trip = tripOf(currentDay);
+const startLoc = trip.start ? { id: "__home__", name: trip.start.name, address: trip.start.address, lat: trip.start.lat, lng: trip.start.lng, visited: false, optimizedIndex: undefined } : null;
+const endLoc = trip.end ? { id: "__office__", name: trip.end.name, address: trip.end.address, lat: trip.end.lat, lng: trip.end.lng, visited: false, optimizedIndex: undefined } : null;
 const locs = [...(startLoc ? [startLoc] : []), ...middleLocs, ...(endLoc ? [endLoc] : [])];
     setOptimizing(true); setStatus("Building distance matrix...");
     try {
-      const matrix = await getDistanceMatrix(locs);
+      const { durations: matrix, distances, estimated } = await getTravelMatrix(locs);
       setStatus("Solving optimal route...");
-      let order, totalTime;
-if (startLoc && endLoc && middleLocs.length >= 1) {
-  // locs = [home(0), ...middle(1..n), office(n+1)]
-  const n = middleLocs.length;
-  const officeIdx = n + 1;
-
-  // Build submatrix for middle stops only (indices 1..n in full matrix)
-  const subMatrix = Array.from({ length: n }, (_, i) =>
-    Array.from({ length: n }, (_, j) => matrix[i + 1][j + 1])
-  );
-
-  let bestMiddle = Array.from({ length: n }, (_, i) => i);
-  let bestCost = Infinity;
-
-  // Try nearest neighbor from each middle stop as first visited
-  for (let s = 0; s < n; s++) {
-    const vis = new Array(n).fill(false);
-    const ord = [s];
-    vis[s] = true;
-    let cur = s;
-    let t = 0;
-
-    for (let i = 1; i < n; i++) {
-      let near = -1, nearD = Infinity;
-      for (let j = 0; j < n; j++) {
-        if (!vis[j] && subMatrix[cur][j] < nearD) {
-          nearD = subMatrix[cur][j];
-          near = j;
-        }
-      }
-      if (near === -1) break;
-      vis[near] = true;
-      ord.push(near);
-      t += nearD;
-      cur = near;
-    }
-
-    // Total cost = home→first_stop + middle route + last_stop→office
-    const homeCost = matrix[0][ord[0] + 1];
-    const officeCost = matrix[ord[ord.length - 1] + 1][officeIdx];
-    const totalCost = homeCost + t + officeCost;
-
-    if (totalCost < bestCost) {
-      bestCost = totalCost;
-      bestMiddle = [...ord];
-    }
-  }
-
-  // Map back: 0=home, middle+1 offset, officeIdx=last
-  order = [0, ...bestMiddle.map(i => i + 1), officeIdx];
-  totalTime = bestCost;
-
-} else if (startLoc && !endLoc && middleLocs.length >= 1) {
-  // Only home set, no office — fix home as start, TSP rest
-  const n = middleLocs.length;
-  let bestMiddle = Array.from({ length: n }, (_, i) => i);
-  let bestCost = Infinity;
-
-  for (let s = 0; s < n; s++) {
-    const vis = new Array(n).fill(false);
-    const ord = [s]; vis[s] = true; let cur = s, t = 0;
-    for (let i = 1; i < n; i++) {
-      let near = -1, nearD = Infinity;
-      for (let j = 0; j < n; j++) {
-        if (!vis[j] && matrix[cur + 1][j + 1] < nearD) { nearD = matrix[cur + 1][j + 1]; near = j; }
-      }
-      if (near === -1) break;
-      vis[near] = true; ord.push(near); t += nearD; cur = near;
-    }
-    const totalCost = matrix[0][ord[0] + 1] + t;
-    if (totalCost < bestCost) { bestCost = totalCost; bestMiddle = [...ord]; }
-  }
-  order = [0, ...bestMiddle.map(i => i + 1)];
-      totalTime = bestCost;
-
-    } else {
-      ({ order, totalTime } = solveTSP(matrix));
-    }
+      const windows = windowsFor(locs);
+      const departAt = parseClock(dayPlan.shiftStart) ?? 9 * 3600;
+      // Pins and locks refer to the current list order
+      const at = new Map(locs.map((l, i) => [l.id, i]));
+      const pins = sortedMiddle.filter(l => l.pinned).map(l => ({ node: at.get(l.id), pos: l.pinPos ?? sortedMiddle.indexOf(l) }));
+      const chains = [];
+      sortedMiddle.forEach((l, i) => {
+        const next = sortedMiddle[i + 1];
+        if (!l.lockNext || !next) return;
+        const last = chains[chains.length - 1];
+        if (last && last[last.length - 1] === at.get(l.id)) last.push(at.get(next.id));
+        else chains.push([at.get(l.id), at.get(next.id)]);
+      });
+      const options = {
+        start: startLoc ? 0 : null,
+        end: endLoc ? locs.length - 1 : null,
+        windows,
+        departAt,
+        pins,
+        chains,
+      };
+      // Fit to shift: optional stops compete on their worth; the solver's schedule has no lunch, so it comes off the budget
+      const shiftEnd = parseClock(dayPlan.shiftEnd);
+      const { order, totalTime, dropped = [] } = currentDay.fitShift
+        ? solveOptional(matrix, {
+          ...options,
+          prizes: locs.map(l => l.id.startsWith("__") ? Infinity : penaltyOf(l) * 60),
+          budget: shiftEnd != null ? shiftEnd - departAt - (parseClock(dayPlan.lunchFrom) != null ? (Number(dayPlan.lunchMin) || 0) * 60 : 0) : null,
+        })
+        : solveRoute(matrix, options);
+      const droppedIds = new Set(dropped.map(d => locs[d.node].id));
 
-      const orderedLocs = order.map((idx, pos) => ({ ...locs[idx], optimizedIndex: pos }));
-      const indexMap = Object.fromEntries(orderedLocs.map(l => [l.id, l.optimizedIndex]));
+      const { stops: times, timeline } = planTimeline(order, locs, matrix, departAt);
+      const orderedLocs = order.map((idx, pos) => ({ ...locs[idx], optimizedIndex: pos, eta: times[pos].arrival, etd: times[pos].depart, windowConflict: times[pos].late }));
+      const indexMap = Object.fromEntries(orderedLocs.map(l => [l.id, l]));
       setStatus("Fetching route path...");
-      const routeData = await getRouteGeometry(orderedLocs);
+      const routeData = orderedLocs.length > 1 ? await getRouteGeometry(orderedLocs) : null;
       updateCurrentDay(d => ({
   ...d,
   locations: d.locations.map(l =>
-    indexMap[l.id] !== undefined ? { ...l, optimizedIndex: indexMap[l.id] } : l
+    indexMap[l.id] !== undefined ? { ...l, optimizedIndex: indexMap[l.id].optimizedIndex, eta: indexMap[l.id].eta, etd: indexMap[l.id].etd, windowConflict: indexMap[l.id].windowConflict }
+      : droppedIds.has(l.id) ? { ...l, optimizedIndex: undefined, eta: null, etd: null, windowConflict: false } : l
   ),
   optimizedOrder: order,
   routeGeometry: routeData?.coordinates || null,
+  legs: routeData?.legs || null,
+  routes: null,
   totalTime,
   totalDist: routeData?.distance || 0,
-  startLoc: startLoc || null,
-  endLoc: endLoc || null,
-}));
-      setStatus(`✓ ${fmtDist(routeData?.distance)} · ${fmtTime(routeData?.duration)} · ${locs.length} stops`);
+  estimated: estimated || !!routeData?.estimated,
+  startLoc: startLoc ? indexMap[startLoc.id] : null,
+  endLoc: endLoc ? indexMap[endLoc.id] : null,
+  optimized: { time: pathTime(order, matrix), dist: pathTime(order, distances) },
+  manual: null,
+  timeline,
+  dropped: dropped.map(d => ({ id: locs[d.node].id, reason: d.reason })),
+}), "optimize");
+      setLegPick(null);
+      const missed = times.filter(t => t.late).length;
+      const conflictMsg = (missed ? ` · ⚠ ${missed} miss window` : "") + (timeline.overflow ? ` · ⚠ ${fmtTime(timeline.overflow)} over shift` : "");
+      const estimateMsg = estimated || routeData?.estimated ? " · estimated (offline)" : "";
+      const droppedMsg = dropped.length ? ` · ${dropped.length} dropped` : "";
+      setStatus(`✓ ${fmtDist(routeData?.distance)} · ${fmtTime(routeData?.duration)} · ${order.length} stops${droppedMsg}${conflictMsg}${estimateMsg}`);
     } catch (e) { setStatus(`✗ ${e.message}`); }
     finally { setOptimizing(false); }
   };
 
+  // Splits the day's stops across the selected reps. Each rep starts/ends at
+  // their own saved points, falling back to the day's start/end.
+  const optimizeTeamRoute = async (reps) => {
+    const stops = currentDay.locations;
+    const nodes = [];
+    const point = (id, name, p) => { nodes.push({ id, name, address: p.address, lat: p.lat, lng: p.lng, visited: false }); return stops.length + nodes.length - 1; };
+    const { start: home, end: office } = tripOf(currentDay);
+    const vehicles = reps.map(rep => {
+      const start = rep.start || home;
+      const end = currentDay.trip?.end === "round" ? start : rep.end || office;
+      return {
+        start: start ? point(`__home__${rep.id}`, `${rep.name} · Start`, start) : null,
+        end: end ? point(`__office__${rep.id}`, `${rep.name} · End`, end) : null,
+        maxStops: rep.maxStops || null,
+        maxDuration: rep.maxHours ? rep.maxHours * 3600 : null,
+      };
+    });
+    const locs = [...stops, ...nodes];
+    setOptimizing(true); setStatus(`Building distance matrix for ${reps.length} reps...`);
+    try {
+      const { durations: matrix, estimated } = await getTravelMatrix(locs);
+      setStatus("Splitting stops across reps...");
+      const departAt = parseClock(dayPlan.shiftStart) ?? 9 * 3600;
+      const { routes, unassigned } = solveVRP(matrix, { vehicles, stops: stops.map((_, i) => i), windows: windowsFor(locs), departAt });
+
+      const stopInfo = {};
+      const built = [];
+      for (let k = 0; k < reps.length; k++) {
+        const rep = reps[k], route = routes[k];
+        const { stops: times, timeline } = planTimeline(route.order, locs, matrix, departAt);
+        const ordered = route.order.map((idx, pos) => ({ ...locs[idx], optimizedIndex: pos, eta: times[pos].arrival, etd: times[pos].depart, windowConflict: times[pos].late }));
+        ordered.forEach(l => { stopInfo[l.id] = { ...l, repId: rep.id }; });
+        setStatus(`Fetching route path for ${rep.name}...`);
+        const geo = ordered.length > 1 ? await getRouteGeometry(ordered) : null;
+        const hasStart = vehicles[k].start != null && ordered.length > 0, hasEnd = vehicles[k].end != null && ordered.length > 0;
+        built.push({
+          repId: rep.id, name: rep.name, color: rep.color,
+          startLoc: hasStart ? ordered[0] : null,
+          endLoc: hasEnd ? ordered[ordered.length - 1] : null,
+          coordinates: geo?.coordinates || null,
+          legs: geo?.legs || null,
+          stopCount: route.stops.length,
+          totalTime: route.totalTime,
+          totalDist: geo?.distance || 0,
+          estimated: !!geo?.estimated,
+          timeline,
+        });
+      }
+      const unassignedIds = new Set(unassigned.map(i => stops[i].id));
+      updateCurrentDay(d => ({
+        ...d,
+        locations: d.locations.map(l => stopInfo[l.id]
+          ? { ...l, optimizedIndex: stopInfo[l.id].optimizedIndex, eta: stopInfo[l.id].eta, etd: stopInfo[l.id].etd, windowConflict: stopInfo[l.id].windowConflict, repId: stopInfo[l.id].repId, unassigned: false }
+          : { ...l, optimizedIndex: undefined, eta: null, etd: null, repId: null, unassigned: unassignedIds.has(l.id) }),
+        optimizedOrder: routes.map(r => r.order),
+        routeGeometry: null,
+        routes: built,
+        totalTime: built.reduce((s, r) => s + r.totalTime, 0),
+        totalDist: built.reduce((s, r) => s + r.totalDist, 0),
+        startLoc: null,
+        endLoc: null,
+        timeline: null,
+        dropped: null,
+        estimated: estimated || built.some(r => r.estimated),
+      }), "team optimize");
+      setViewRep("all");
+      const over = built.filter(r => r.timeline.overflow).length;
+      const leftMsg = (unassigned.length ? ` · ⚠ ${unassigned.length} unassigned` : "") + (over ? ` · ⚠ ${over} over shift` : "");
+      const pinMsg = stops.some(l => l.pinned || l.lockNext) || currentDay.fitShift ? " · pins, locks and fit to shift apply to single routes only" : "";
+      setStatus(`✓ ${reps.length} reps · ${fmtDist(built.reduce((s, r) => s + r.totalDist, 0))}${leftMsg}${pinMsg}`);
+    } catch (e) { setStatus(`✗ ${e.message}`); }
+    finally { setOptimizing(false); }
+  };
+
+  const saveTeam = (next) => {
+    setTeam(next);
+    localStorage.setItem("frp_team", JSON.stringify(next));
+  };
+
+  const addRep = async () => {
+    const name = repForm.name.trim();
+    if (!name) return;
+    setStatus(`Saving ${name}...`);
+    try {
+      const start = repForm.start.trim() ? { address: repForm.start.trim(), ...await resolvePoint(repForm.start.trim()) } : null;
+      const end = repForm.end.trim() ? { address: repForm.end.trim(), ...await resolvePoint(repForm.end.trim()) } : null;
+      const used = new Set(team.map(r => r.color));
+      const rep = {
+        id: crypto.randomUUID(), name, start, end,
+        color: REP_COLORS.find(c => !used.has(c)) || REP_COLORS[team.length % REP_COLORS.length],
+        maxStops: Number(repForm.maxStops) || null,
+        maxHours: Number(repForm.maxHours) || null,
+      };
+      saveTeam([...team, rep]);
+      setRepForm({ name: "", start: "", end: "", maxStops: "", maxHours: "" });
+      setStatus(`✓ Rep added: ${name}`);
+    } catch (e) { setStatus(`✗ ${e.message}`); }
+  };
+
+  // ============================================================
+  // PLACES & DAY TRIP
+  // ============================================================
+  // Named places (depots, a second office, …) a day can start or end at. The
+  // global start/end points are offered as "home" and "office".
+  const savePlaces = (next) => {
+    setPlaces(next);
+    localStorage.setItem("frp_places", JSON.stringify(next));
+  };
+
+  const addPlace = async () => {
+    const name = placeForm.name.trim(), address = placeForm.address.trim();
+    if (!name || !address) return;
+    setStatus(`Saving ${name}...`);
+    try {
+      const point = await resolvePoint(address);
+      savePlaces([...places, { id: crypto.randomUUID(), name, address, lat: point.lat, lng: point.lng }]);
+      setPlaceForm({ name: "", address: "" });
+      setStatus(`✓ Place saved: ${name}`);
+    } catch (e) { setStatus(`✗ ${e.message}`); }
+  };
+
+  const removePlace = (id) => savePlaces(places.filter(p => p.id !== id));
+
+  const homePlace = homeCoords && { id: "home", name: "Start Point", address: homeAddress, ...homeCoords };
+  const officePlace = officeCoords && { id: "office", name: "End Point", address: officeAddress, ...officeCoords };
+  const allPlaces = [homePlace, officePlace, ...places].filter(Boolean);
+
+  // day.trip = { start, end }: a place id, or null for the global point.
+  // end may also be "round" (back to the start) or "open" (finish at the last stop).
+  const tripOf = (day) => {
+    const trip = day.trip || {};
+    const byId = (id) => allPlaces.find(p => p.id === id);
+    const start = (trip.start && byId(trip.start)) || homePlace;
+    const end = trip.end === "round" ? start : trip.end === "open" ? null : (trip.end && byId(trip.end)) || officePlace;
+    return { start, end };
+  };
+
+  const setTrip = (patch) => {
+    updateCurrentDay(d => ({ ...d, trip: { ...d.trip, ...patch }, ...RESET_ROUTE, startLoc: null, endLoc: null }), "change start/end");
+  };
+
+  const removeRep = (id) => {
+    saveTeam(team.filter(r => r.id !== id));
+    if (viewRep === id) setViewRep("all");
+  };
+
+  const toggleRepForDay = (id) => {
+    updateCurrentDay(d => {
+      const ids = d.repIds || [];
+      return { ...d, repIds: ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id] };
+    }, "change reps");
+  };
+
+  // ---- Customers ----
+  const customerStop = (c) => ({
+    id: crypto.randomUUID(), customerId: c.id, name: c.name, address: c.address, lat: c.lat, lng: c.lng,
+    phone: c.phone || "", visited: false, optimizedIndex: undefined,
+  });
+
+  const addCustomer = async (form) => {
+    setStatus(`Saving ${form.name.trim()}...`);
+    try {
+      const point = await resolvePoint(form.address.trim());
+      const c = {
+        id: crypto.randomUUID(), name: form.name.trim(), address: form.address.trim(), phone: form.phone.trim(),
+        frequency: form.frequency, weekdays: form.weekdays, lastVisited: form.lastVisited || null,
+        lat: point.lat, lng: point.lng, updatedAt: new Date().toISOString(),
+      };
+      await putRecord(CUSTOMER_STORE, c);
+      setCustomers(cs => [...cs, c]);
+      setStatus(`✓ Customer saved: ${c.name}`);
+      return true;
+    } catch (e) { setStatus(`✗ ${e.message}`); return false; }
+  };
+
+  const deleteCustomer = (id) => {
+    const c = customers.find(x => x.id === id);
+    if (!c || !confirm(`Remove ${c.name} from customers?`)) return;
+    // Tombstone rather than delete, so a restore or sync cannot bring the customer back
+    putRecord(CUSTOMER_STORE, { id, deleted: true, updatedAt: new Date().toISOString() }).catch(e => console.error("✗ Delete failed", e));
+    setCustomers(cs => cs.filter(x => x.id !== id));
+  };
+
+  const addCustomerToDay = (c) => {
+    updateCurrentDay(d => ({ ...d, locations: [...d.locations, customerStop(c)], ...RESET_ROUTE }), `add ${c.name}`);
+    setStatus(`✓ Added: ${c.name}`);
+  };
+
+  // Plans the next `weeks` of working days from today and returns a preview;
+  // nothing is written until applyCustomerPlan.
+  const planCustomerVisits = async ({ weeks, weekdays, maxStops }) => {
+    const dates = Array.from({ length: weeks * 7 }, (_, i) => addDays(todayISO(), i)).filter(d => weekdays.includes(weekdayOf(d)));
+    const days = Object.values(dayData);
+    const existing = dates.flatMap(d => (dayData[d]?.locations || []).filter(l => !customers.some(c => c.id === l.customerId)));
+    const points = [...(homeCoords ? [homeCoords] : []), ...customers, ...existing];
+    const offset = homeCoords ? 1 : 0;
+    const index = new Map([...customers, ...existing].map((p, i) => [p.id, i + offset]));
+    setPlanning(true); setStatus(`Building matrix for ${points.length} points...`);
+    try {
+      const matrix = await getDistanceMatrix(points);
+      setStatus("Balancing days...");
+      const startIndex = homeCoords ? 0 : null;
+      const { assignments, skipped } = planVisits({ customers, dates, days, matrix, pointOf: (id) => index.get(id), startIndex, maxStops });
+      const rows = dates.map(date => {
+        const current = dayData[date]?.locations || [];
+        const added = assignments[date].map(id => customers.find(c => c.id === id));
+        const pts = [...current.map(l => index.get(l.customerId) ?? index.get(l.id)), ...added.map(c => index.get(c.id))].filter(i => i != null);
+        return { date, existing: current.length, added, drive: estimateDayDrive(pts, matrix, startIndex) };
+      });
+      setStatus(`✓ Planned ${rows.reduce((n, r) => n + r.added.length, 0)} visits · review and apply`);
+      return { rows, skipped };
+    } catch (e) { setStatus(`✗ ${e.message}`); return null; }
+    finally { setPlanning(false); }
+  };
+
+  const applyCustomerPlan = (plan) => {
+    plan.rows.filter(r => r.added.length).forEach(r => {
+      editDay(r.date, d => ({ ...d, locations: [...d.locations, ...r.added.map(customerStop)], ...RESET_ROUTE }), `add ${r.added.length} planned visits`);
+    });
+    setStatus(`✓ Added ${plan.rows.reduce((n, r) => n + r.added.length, 0)} customer visits`);
+  };
+
   const toggleVisited = (id) => {
-    updateCurrentDay(d => ({ ...d, locations: d.locations.map(l => l.id === id ? { ...l, visited: !l.visited } : l) }));
+    const loc = currentDay.locations.find(l => l.id === id);
+    updateCurrentDay(d => ({ ...d, locations: d.locations.map(l => l.id === id ? { ...l, visited: !l.visited } : l) }), `${loc?.visited ? "unmark" : "mark"} ${loc?.name || "stop"}`);
+  };
+
+  // Undoable so the snapshot keeps any photos the sheet removed until it leaves the history
+  const saveVisit = (id, visit, visited) => {
+    const loc = currentDay.locations.find(l => l.id === id);
+    updateCurrentDay(d => ({ ...d, locations: d.locations.map(l => l.id === id ? { ...l, visit, visited } : l) }), `visit ${loc?.name || "stop"}`);
+    setVisitSheetId(null);
+    setStatus(`✓ Visit saved${visit.outcome ? ` · ${OUTCOMES[visit.outcome].label}` : ""}`);
   };
 
+  // Photos of removed stops are cleaned up by the history once no undo can restore them
   const removeLocation = (id) => {
-    updateCurrentDay(d => ({ ...d, locations: d.locations.filter(l => l.id !== id), optimizedOrder: null, routeGeometry: null, totalTime: 0, totalDist: 0 }));
+    const label = `remove ${currentDay.locations.find(l => l.id === id)?.name || "stop"}`;
+    updateCurrentDay(d => ({ ...d, locations: d.locations.filter(l => l.id !== id), ...RESET_ROUTE }), label);
+    setUndoToast(label);
+  };
+
+  // ============================================================
+  // MOVE / COPY BETWEEN DAYS
+  // ============================================================
+  // Moved stops keep their id, visit and photos; copies start unvisited
+  const transferStops = (ids, date, mode) => {
+    const picked = currentDay.locations.filter(l => ids.includes(l.id));
+    if (!picked.length || !date || date === activeDate) return;
+    const stops = picked.map(l => mode === "move" ? detachStop(l) : { ...detachStop(l), id: crypto.randomUUID(), visited: false, visit: null });
+    const label = `${mode === "move" ? "move" : "copy"} ${picked.length} stop${picked.length > 1 ? "s" : ""} to ${fmtDate(date)}`;
+    const addToTarget = (d) => ({ ...d, locations: [...d.locations, ...stops], ...RESET_ROUTE });
+    // A move is one step on this day's history that restores both days, so
+    // undo never leaves the same stop on two days
+    if (mode === "move") {
+      editDay(activeDate, d => ({ ...d, locations: d.locations.filter(l => !ids.includes(l.id)), ...RESET_ROUTE }), label, { date, updater: addToTarget });
+      setUndoToast(label);
+    } else editDay(date, addToTarget, label);
+    setSelected([]); setSelecting(false);
+    setStatus(`✓ ${label[0].toUpperCase()}${label.slice(1)}`);
+  };
+
+  const carryOver = () => {
+    const ids = currentDay.locations.filter(l => !l.visited).map(l => l.id);
+    transferStops(ids, nextWorkingDay(activeDate), "move");
+  };
+
+  const markSelectedVisited = () => {
+    const ids = new Set(selected);
+    updateCurrentDay(d => ({ ...d, locations: d.locations.map(l => ids.has(l.id) ? { ...l, visited: true } : l) }), `mark ${ids.size} stops`);
+    setStatus(`✓ Marked ${ids.size} stops visited`);
+  };
+
+  const deleteSelected = () => {
+    const ids = new Set(selected);
+    const label = `remove ${ids.size} stop${ids.size > 1 ? "s" : ""}`;
+    updateCurrentDay(d => ({ ...d, locations: d.locations.filter(l => !ids.has(l.id)), ...RESET_ROUTE }), label);
+    setUndoToast(label);
+    setSelected([]); setSelecting(false); setLasso(null);
+  };
+
+  // ============================================================
+  // MAP INTERACTIONS
+  // ============================================================
+  // A point picked on the map is an exact pin; the address is looked up for the list
+  const addAt = async ({ lat, lng }) => {
+    setStatus("Looking up address...");
+    const place = await reverseGeocode(lat, lng);
+    placeStop({ lat, lng, display: place.display, confidence: "manual" }, place.display, { kind: "map", name: place.name || place.display.split(",")[0] });
+  };
+
+  const lassoSelect = (polygon) => {
+    const ids = currentDay.locations.filter(l => pointInPolygon(l, polygon)).map(l => l.id);
+    setLasso(polygon);
+    setSelected(ids); setSelecting(ids.length > 0);
+    setActiveTab("list");
+    setStatus(ids.length ? `✏ ${ids.length} stop${ids.length > 1 ? "s" : ""} selected` : "✏ No stops inside · save the area as a territory?");
+  };
+
+  const saveTerritory = () => {
+    const t = { id: crypto.randomUUID(), name: territoryName.trim(), polygon: lasso };
+    setTerritoryCfg(saveTerritories({ active: t.id, territories: [...territoryCfg.territories, t] }));
+    setTerritoryName(""); setLasso(null);
+    setStatus(`✓ Territory ${t.name} saved · customers now show only this area`);
+  };
+
+  const toggleSelected = (id) => setSelected(sel => sel.includes(id) ? sel.filter(x => x !== id) : [...sel, id]);
+
+  const stepEdit = (dir) => {
+    const date = activeDate;
+    changeHistory(date, h => {
+      const step = stepHistory(h, dir, d => dayDataRef.current[d] || EMPTY_DAY(d));
+      if (!step) return null;
+      updateDay(date, () => step.day);
+      if (step.linked) updateDay(step.linked.date, () => step.linked.day);
+      setUndoToast(null);
+      setStatus(`${dir === "undo" ? "↶ Undid" : "↷ Redid"} ${step.label}`);
+      return step.hist;
+    });
+  };
+
+  // Ctrl/⌘+Z undoes, Ctrl/⌘+Shift+Z or Ctrl+Y redoes, outside text fields
+  useEffect(() => {
+    const onKey = (e) => onKeyRef.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+  useEffect(() => {
+    onKeyRef.current = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" || key === "y") { e.preventDefault(); stepEdit(key === "y" || e.shiftKey ? "redo" : "undo"); }
+    };
+  });
+  useEffect(() => {
+    if (!undoToast) return;
+    const t = setTimeout(() => setUndoToast(null), 6000);
+    return () => clearTimeout(t);
+  }, [undoToast]);
+
+  // ============================================================
+  // MANUAL ORDER
+  // ============================================================
+  // pinned + pinPos: the stop stays at that position among the middle stops.
+  // lockNext: the stop after this one in the current order follows it directly.
+  const togglePin = (id) => {
+    const pos = sortedMiddle.findIndex(l => l.id === id);
+    const loc = sortedMiddle[pos];
+    updateCurrentDay(d => ({ ...d, locations: d.locations.map(l => l.id === id ? { ...l, pinned: !l.pinned, pinPos: l.pinned ? null : pos } : l) }), `${loc?.pinned ? "unpin" : "pin"} ${loc?.name || "stop"}`);
+  };
+  const toggleLock = (id) => {
+    const loc = currentDay.locations.find(l => l.id === id);
+    updateCurrentDay(d => ({ ...d, locations: d.locations.map(l => l.id === id ? { ...l, lockNext: !l.lockNext } : l) }), `${loc?.lockNext ? "unlock" : "lock"} ${loc?.name || "stop"}`);
+  };
+
+  // ============================================================
+  // PRIORITY
+  // ============================================================
+  // A new level brings that level's default worth; the next optimize applies it
+  const setPriority = (id, priority) => {
+    const loc = currentDay.locations.find(l => l.id === id);
+    updateCurrentDay(d => ({ ...d, locations: d.locations.map(l => l.id === id ? { ...l, priority, penalty: null } : l) }), `priority of ${loc?.name || "stop"}`);
+  };
+  const toggleFitShift = () => {
+    updateCurrentDay(d => ({ ...d, fitShift: !d.fitShift }), `fit to shift ${currentDay.fitShift ? "off" : "on"}`);
+    setStatus(currentDay.fitShift ? "Every stop is kept" : `🎯 Optimize drops the stops worth least to end by ${dayPlan.shiftEnd}`);
+  };
+
+  // Time and distance of a sequence from the (cached) travel matrix, so manual
+  // and optimized orders are compared on the same numbers
+  const measureSequence = async (seq) => {
+    const { durations, distances, estimated } = await getTravelMatrix(seq);
+    const idx = seq.map((_, i) => i);
+    const { stops, timeline } = planTimeline(idx, seq, durations, parseClock(dayPlan.shiftStart) ?? 9 * 3600);
+    return { time: pathTime(idx, durations), dist: pathTime(idx, distances), stops, timeline, estimated };
+  };
+
+  const moveStop = async (id, to) => {
+    const ids = sortedMiddle.map(l => l.id).filter(x => x !== id);
+    ids.splice(to, 0, id);
+    const base = currentDay.startLoc ? 1 : 0;
+    const pos = new Map(ids.map((x, i) => [x, i]));
+    const byId = Object.fromEntries(currentDay.locations.map(l => [l.id, l]));
+    // A dragged pinned stop takes its pin along to the new position
+    updateCurrentDay(d => ({
+      ...d,
+      locations: d.locations.map(l => pos.has(l.id) ? { ...l, optimizedIndex: pos.get(l.id) + base, ...(l.id === id && l.pinned ? { pinPos: to } : {}) } : l),
+    }), `move ${byId[id]?.name || "stop"}`);
+    const seq = [...(currentDay.startLoc ? [currentDay.startLoc] : []), ...ids.map(x => byId[x]), ...(currentDay.endLoc ? [currentDay.endLoc] : [])];
+    if (seq.length < 2) return;
+    setStatus("Measuring manual order...");
+    try {
+      const m = await measureSequence(seq);
+      const geo = await getRouteGeometry(seq);
+      const info = Object.fromEntries(seq.map((l, i) => [l.id, m.stops[i]]));
+      // Only fills in the times of the order recorded above, so undoing that step drops
+      // these too; an order undone or changed while measuring is left alone
+      const measured = (d) => ids.every(x => d.locations.find(l => l.id === x)?.optimizedIndex === pos.get(x) + base);
+      updateCurrentDay(d => !measured(d) ? d : ({
+        ...d,
+        locations: d.locations.map(l => info[l.id] ? { ...l, eta: info[l.id].arrival, etd: info[l.id].depart, windowConflict: info[l.id].late } : l),
+        startLoc: d.startLoc && info[d.startLoc.id] ? { ...d.startLoc, eta: info[d.startLoc.id].arrival } : d.startLoc,
+        endLoc: d.endLoc && info[d.endLoc.id] ? { ...d.endLoc, eta: info[d.endLoc.id].arrival } : d.endLoc,
+        routeGeometry: geo?.coordinates || null,
+        legs: geo?.legs || null,
+        totalTime: m.time,
+        totalDist: geo?.distance || m.dist,
+        manual: { time: m.time, dist: m.dist },
+        timeline: m.timeline,
+        estimated: m.estimated || !!geo?.estimated,
+      }));
+      setStatus(`✋ Manual order · ${fmtTime(m.time)} · ${fmtDist(m.dist)}`);
+    } catch (e) { setStatus(`✗ ${e.message}`); }
+  };
+  const { drag, handleProps } = useDragReorder(listRef, moveStop);
+
+  // ============================================================
+  // LIVE TRACKING
+  // ============================================================
+  useEffect(() => {
+    if (!tracking) return;
+    trackerRef.current = createTracker(trackingCfg);
+    return watchPosition(fix => onFixRef.current(fix), e => { setStatus(`✗ ${e.message}`); setTracking(false); setPosition(null); });
+  }, [tracking, trackingCfg]);
+  useEffect(() => { onFixRef.current = handleFix; });
+
+  const toggleTracking = () => {
+    if (tracking) { setTracking(false); setPosition(null); setArrival(null); setStatus("Live tracking off"); return; }
+    if (!navigator.geolocation) { setStatus("✗ Location is not available on this device"); return; }
+    dismissedRef.current = new Set();
+    setTracking(true); setStatus("📡 Live tracking on · waiting for GPS...");
+  };
+  const updateTrackingCfg = (patch) => setTrackingCfg(c => saveTrackingConfig({ ...c, ...patch }));
+
+  // The planned sequence the rep is following: the whole day, or the selected rep's route
+  const trackScope = () => {
+    const rep = dayRoutes ? dayRoutes.find(r => r.repId === viewRep) : null;
+    if (dayRoutes && !rep) return null;
+    return {
+      rep,
+      remaining: sortedMiddle.filter(l => !l.visited && l.optimizedIndex != null && (!rep || l.repId === rep.repId)),
+      path: rep ? rep.coordinates : currentDay.routeGeometry,
+    };
+  };
+
+  const handleFix = (fix) => {
+    setPosition(fix);
+    const scope = currentDay.optimizedOrder ? trackScope() : null;
+    const { arrivedAt, offPlan } = trackerRef.current.update(fix, {
+      stops: currentDay.locations.filter(l => !l.visited),
+      next: scope?.remaining[0] || null,
+      path: scope?.path,
+    });
+    if (arrivedAt && !dismissedRef.current.has(arrivedAt)) setArrival(arrivedAt);
+    if (offPlan && scope?.remaining.length && trackingCfg.autoReroute && !optimizing) rerouteFrom(fix, scope);
+  };
+
+  const answerArrival = (markVisited) => {
+    dismissedRef.current.add(arrival);
+    if (markVisited) {
+      // The prompt comes after dwellMin minutes on site, so that is when the rep checked in
+      const checkIn = new Date(Date.now() - trackingCfg.dwellMin * 60000).toISOString();
+      const loc = currentDay.locations.find(l => l.id === arrival);
+      updateCurrentDay(d => ({ ...d, locations: d.locations.map(l => l.id === arrival ? { ...l, visited: true, visit: { ...l.visit, checkIn: l.visit?.checkIn || checkIn } } : l) }), `mark ${loc?.name || "stop"}`);
+    }
+    setArrival(null);
+  };
+
+  // Re-plans the unvisited stops from the rep's position. getTravelMatrix reuses
+  // the cached stop-to-stop durations, so only the new point's row and column are fetched.
+  const rerouteFrom = async (fix, scope) => {
+    if (!scope?.remaining.length) { setStatus(dayRoutes && viewRep === "all" ? "Select your rep to re-route" : "No stops left to re-route"); return; }
+    const here = { id: "__here__", name: "Current position", lat: fix.lat, lng: fix.lng };
+    const endLoc = scope.rep ? scope.rep.endLoc : currentDay.endLoc;
+    const locs = [here, ...scope.remaining, ...(endLoc ? [endLoc] : [])];
+    setOptimizing(true); setStatus("↻ Re-routing from your position...");
+    try {
+      const { durations, estimated } = await getTravelMatrix(locs);
+      const now = new Date();
+      const departAt = now.getHours() * 3600 + now.getMinutes() * 60;
+      const { order } = solveRoute(durations, {
+        start: 0,
+        end: endLoc ? locs.length - 1 : null,
+        windows: windowsFor(locs),
+        departAt,
+      });
+      const { stops: times, timeline } = planTimeline(order, locs, durations, departAt);
+      const geo = await getRouteGeometry(order.map(i => locs[i]));
+      // Remaining stops sort after everything already visited on this route
+      const visitedIdx = sortedMiddle.filter(l => l.visited && (!scope.rep || l.repId === scope.rep.repId)).map(l => l.optimizedIndex ?? -1);
+      const base = Math.max(Math.min(...scope.remaining.map(l => l.optimizedIndex)), ...visitedIdx.map(i => i + 1));
+      const info = {};
+      order.forEach((idx, pos) => {
+        if (idx > 0 && locs[idx] !== endLoc) info[locs[idx].id] = { optimizedIndex: base + pos - 1, eta: times[pos].arrival, etd: times[pos].depart, windowConflict: times[pos].late };
+      });
+      const newEnd = endLoc ? { ...endLoc, eta: times[order.length - 1].arrival } : null;
+      updateCurrentDay(d => ({
+        ...d,
+        locations: d.locations.map(l => info[l.id] ? { ...l, ...info[l.id] } : l),
+        ...(scope.rep
+          ? { routes: d.routes.map(r => r.repId === scope.rep.repId ? { ...r, coordinates: geo?.coordinates || null, legs: geo?.legs || null, endLoc: newEnd, timeline } : r) }
+          : { routeGeometry: geo?.coordinates || null, legs: geo?.legs || null, endLoc: newEnd, timeline }),
+        estimated: d.estimated || estimated || !!geo?.estimated,
+      }), "re-route");
+      setLegPick(null);
+      setStatus(`↻ Re-routed ${scope.remaining.length} stops from your position`);
+    } catch (e) { setStatus(`✗ ${e.message}`); }
+    finally { setOptimizing(false); }
+  };
+
+  // Routes in the shape exporters.js expects, following the rep filter like the list does
+  const exportRoutes = () => {
+    const shape = (locs) => {
+      let n = 0;
+      return locs.map(l => ({
+        label: isStartPoint(l) ? "S" : isEndPoint(l) ? "E" : ++n,
+        name: l.name, address: l.address, lat: l.lat, lng: l.lng, eta: l.eta, openTime: l.openTime, closeTime: l.closeTime,
+        serviceMin: l.serviceMin, phone: l.phone, notes: l.notes, visited: l.visited, windowConflict: l.windowConflict,
+      }));
+    };
+    if (dayRoutes) return shownRoutes.map(r => ({
+      ...r, stops: shape([...(r.startLoc ? [r.startLoc] : []), ...sortedMiddle.filter(l => l.repId === r.repId), ...(r.endLoc ? [r.endLoc] : [])]),
+    }));
+    return [{ name: "Route", color: "#f97316", stops: shape(sortedLocs), coordinates: currentDay.routeGeometry, totalTime: currentDay.totalTime, totalDist: currentDay.totalDist }];
+  };
+  const exportDay = (kind) => {
+    const routes = exportRoutes();
+    const base = `route-${activeDate}`;
+    try {
+      if (kind === "gpx") downloadFile(`${base}.gpx`, toGPX(activeDate, routes), "application/gpx+xml");
+      else if (kind === "kml") downloadFile(`${base}.kml`, toKML(activeDate, routes), "application/vnd.google-earth.kml+xml");
+      else if (kind === "csv") downloadFile(`${base}.csv`, toCSV(routes), "text/csv");
+      else openDaySheet(activeDate, routes);
+    } catch (e) { setStatus(`✗ ${e.message}`); }
   };
 
   const clearDay = () => {
-    if (!confirm("Clear all locations for this day?")) return;
-    updateCurrentDay(() => EMPTY_DAY(activeDay));
+    if (!currentDay.locations.length) return;
+    updateCurrentDay(() => EMPTY_DAY(activeDate), "clear day");
+    setUndoToast("clear day");
     setStatus("Day cleared");
   };
 
-  const visibleDays = DAYS.filter(d => activeWeek === 1 ? d <= 6 : d > 6);
+  const visibleDays = weekDates(activeDate);
+  const today = todayISO();
 
   return (
     <>
@@ -504,21 +1392,35 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
         .logo span { color: #e8e3db; }
         .week-btn { padding: 4px 10px; border: 1px solid #2a3040; background: transparent; color: #6b7280; border-radius: 5px; font-size: 11px; font-family: 'DM Mono', monospace; cursor: pointer; transition: all 0.15s; }
         .week-btn.active { background: #f97316; color: #0c0f14; border-color: #f97316; font-weight: 700; }
+        .week-label { position: relative; font-family: 'DM Mono', monospace; font-size: 11px; color: #9ca3af; cursor: pointer; white-space: nowrap; }
+        .date-picker { position: absolute; inset: 0; opacity: 0; cursor: pointer; }
+        .date-picker::-webkit-calendar-picker-indicator { position: absolute; inset: 0; width: auto; height: auto; cursor: pointer; }
         .ready-dot { font-size: 10px; font-family: 'DM Mono', monospace; color: #374151; white-space: nowrap; }
         .ready-dot.on { color: #22c55e; }
         .day-tabs { display: flex; overflow-x: auto; scrollbar-width: none; }
         .day-tabs::-webkit-scrollbar { display: none; }
         .day-tab { padding: 7px 14px; background: transparent; border: none; color: #4b5563; font-family: 'DM Mono', monospace; font-size: 11px; cursor: pointer; border-bottom: 2px solid transparent; white-space: nowrap; transition: all 0.15s; flex-shrink: 0; }
         .day-tab.active { color: #f97316; border-bottom-color: #f97316; }
+        .day-tab.today:not(.active) { color: #9ca3af; }
         .day-tab .ct { display: inline-block; margin-left: 3px; background: #1e2633; color: #6b7280; border-radius: 8px; padding: 0 5px; font-size: 9px; }
         .day-tab.active .ct { background: #2c1810; color: #f97316; }
 
         .status-bar { background: #080b10; border-bottom: 1px solid #141b24; padding: 5px 14px; font-family: 'DM Mono', monospace; font-size: 10px; color: #4b5563; flex-shrink: 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; min-height: 26px; display: flex; align-items: center; gap: 6px; }
+        .status-bar span { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; }
+        .hist-btn { background: none; border: none; color: #9ca3af; font-size: 14px; cursor: pointer; padding: 0 4px; line-height: 1; }
+        .hist-btn:disabled { color: #1f2937; cursor: default; }
+        .undo-toast { position: fixed; left: 50%; bottom: 24px; transform: translateX(-50%); z-index: 2000; display: flex; gap: 10px; align-items: center; background: #1e2633; border: 1px solid #334155; border-radius: 10px; padding: 8px 10px 8px 14px; font-size: 12px; color: #e2e8f0; box-shadow: 0 6px 24px rgba(0,0,0,0.5); max-width: calc(100vw - 24px); }
+        .undo-toast span { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .undo-toast button { background: none; border: none; color: #f97316; font-weight: 700; font-size: 12px; cursor: pointer; text-transform: uppercase; letter-spacing: 0.05em; }
+        .undo-toast button.dismiss { color: #64748b; }
         .spinner { width: 10px; height: 10px; flex-shrink: 0; border: 2px solid #f97316; border-top-color: transparent; border-radius: 50%; animation: spin 0.7s linear infinite; }
         @keyframes spin { to { transform: rotate(360deg); } }
 
         .map-wrapper { height: 36vh; min-height: 160px; flex-shrink: 0; position: relative; background: #1a2030; }
         .map-wrapper.fullscreen { position: fixed; inset: 0; height: 100% !important; z-index: 9999; }
+        .map-layers { position: absolute; top: 10px; left: 10px; z-index: 1000; display: flex; flex-direction: column; gap: 4px; }
+        .map-layer { width: 30px; height: 30px; background: rgba(12,15,20,0.9); border: 1px solid #2d3748; border-radius: 6px; color: #6b7280; font-size: 13px; cursor: pointer; opacity: 0.55; }
+        .map-layer.on { border-color: #f97316; color: #f97316; opacity: 1; }
         .map-fullscreen-btn { position: absolute; top: 10px; right: 10px; z-index: 1000; background: rgba(12,15,20,0.9); border: 1px solid #f97316; color: #f97316; border-radius: 6px; padding: 6px 12px; font-family: 'DM Mono', monospace; font-size: 11px; cursor: pointer; font-weight: 600; }
 
         .bottom-panel { flex: 1; display: flex; flex-direction: column; min-height: 0; background: #0f1520; overflow: hidden; }
@@ -529,6 +1431,8 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
         .stat-v { font-family: 'DM Mono', monospace; font-size: 18px; font-weight: 700; color: #f97316; line-height: 1; }
         .stat-l { font-size: 9px; color: #374151; margin-top: 2px; text-transform: uppercase; letter-spacing: 1px; }
 
+        .est-badge { display: inline-block; margin-top: 3px; padding: 1px 6px; border-radius: 8px; background: #3b2a0a; color: #fbbf24; font-family: 'DM Mono', monospace; font-size: 8px; text-transform: uppercase; letter-spacing: 1px; }
+
         .progress-wrap { height: 3px; background: #1e2633; flex-shrink: 0; }
         .progress-fill { height: 100%; background: linear-gradient(90deg, #22c55e, #16a34a); transition: width 0.5s ease; }
 
@@ -538,14 +1442,34 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
         .btn-nav { padding: 11px 14px; background: #15803d; color: #e8e3db; border: none; border-radius: 8px; font-family: 'Syne', sans-serif; font-weight: 700; font-size: 12px; cursor: pointer; white-space: nowrap; }
         .btn-clear { padding: 11px 12px; background: #1e2633; color: #ef4444; border: none; border-radius: 8px; font-family: 'Syne', sans-serif; font-weight: 700; font-size: 12px; cursor: pointer; }
 
-        .panel-tabs { display: flex; border-bottom: 1px solid #1e2633; flex-shrink: 0; }
-        .panel-tab { flex: 1; padding: 10px; border: none; background: transparent; color: #4b5563; font-family: 'Syne', sans-serif; font-size: 12px; font-weight: 700; cursor: pointer; border-bottom: 2px solid transparent; transition: all 0.15s; }
+        .panel-tabs { display: flex; border-bottom: 1px solid #1e2633; flex-shrink: 0; overflow-x: auto; }
+        .panel-tab { flex: 1; padding: 10px 6px; white-space: nowrap; border: none; background: transparent; color: #4b5563; font-family: 'Syne', sans-serif; font-size: 12px; font-weight: 700; cursor: pointer; border-bottom: 2px solid transparent; transition: all 0.15s; }
         .panel-tab.active { color: #f97316; border-bottom-color: #f97316; background: #0c1018; }
 
         .scroll-area { flex: 1; overflow-y: auto; -webkit-overflow-scrolling: touch; min-height: 0; }
         ::-webkit-scrollbar { width: 3px; }
         ::-webkit-scrollbar-thumb { background: #2a3040; border-radius: 2px; }
 
+        .btn-track { padding: 11px 12px; background: #1e2633; color: #9ca3af; border: none; border-radius: 8px; font-size: 13px; cursor: pointer; }
+        .btn-track.on { background: #1e3a5f; color: #60a5fa; box-shadow: inset 0 0 0 1px #3b82f6; }
+        .btn-track:disabled { opacity: 0.4; }
+        .arrival-bar { display: flex; gap: 8px; align-items: center; padding: 6px 12px; background: #10233d; border-bottom: 1px solid #1e3a5f; font-size: 12px; flex-shrink: 0; }
+        .arrival-bar span { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .arrival-bar button { padding: 6px 10px; }
+        .loc-info.clickable { cursor: pointer; }
+        .loc-visit { font-size: 10px; color: #a3e635; font-family: 'DM Mono', monospace; margin-top: 2px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .sheet-backdrop { position: fixed; inset: 0; background: rgba(0,0,0,0.6); z-index: 10000; display: flex; align-items: flex-end; justify-content: center; }
+        .sheet { width: 100%; max-width: 520px; max-height: 90vh; overflow-y: auto; background: #0f1621; border: 1px solid #1e2a3a; border-radius: 14px 14px 0 0; padding: 14px; display: flex; flex-direction: column; gap: 8px; }
+        .sheet-head { display: flex; gap: 10px; align-items: flex-start; }
+        .visit-clock { flex: 1; font-family: 'DM Mono', monospace; }
+        .visit-outcomes { display: grid; grid-template-columns: 1fr 1fr; gap: 6px; }
+        .visit-outcome { padding: 10px 8px; background: #141d2b; border: 1px solid #1e2a3a; color: #9ca3af; border-radius: 8px; font-size: 12px; cursor: pointer; text-align: left; }
+        .visit-outcome.on { background: #2c1810; border-color: #f97316; color: #f97316; font-weight: 700; }
+        .visit-photos { display: flex; flex-wrap: wrap; gap: 6px; }
+        .visit-photo { position: relative; width: 72px; height: 72px; border-radius: 8px; overflow: hidden; background: #141d2b; border: 1px solid #1e2a3a; display: flex; align-items: center; justify-content: center; color: #6b7280; font-size: 22px; }
+        .visit-photo.add { cursor: pointer; border-style: dashed; }
+        .visit-photo img { width: 100%; height: 100%; object-fit: cover; display: block; }
+        .visit-photo .icon-btn { position: absolute; top: 2px; right: 2px; width: 20px; height: 20px; font-size: 11px; }
         .loc-list { padding: 8px; }
         .loc-item { background: #141d2b; border: 1px solid #1e2a3a; border-radius: 10px; padding: 10px 12px; margin-bottom: 6px; display: flex; gap: 10px; align-items: center; transition: all 0.15s; }
         .loc-item.visited { background: #0d1a12; border-color: #14532d; }
@@ -555,9 +1479,71 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
         .loc-name { font-size: 13px; font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
         .loc-item.visited .loc-name { color: #4b5563; text-decoration: line-through; }
         .loc-addr { font-size: 10px; color: #374151; font-family: 'DM Mono', monospace; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; margin-top: 2px; }
+        .loc-eta { font-size: 10px; color: #60a5fa; font-family: 'DM Mono', monospace; margin-top: 2px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+        .loc-eta.late { color: #f87171; }
+        .rep-chips, .rep-routes { display: flex; flex-wrap: wrap; gap: 6px; align-items: center; margin-bottom: 8px; }
+        .rep-chips-label { font-size: 9px; color: #4b5563; font-family: 'DM Mono', monospace; text-transform: uppercase; letter-spacing: 1px; }
+        .rep-chip { padding: 4px 10px; border: 1px solid var(--rep); background: transparent; color: var(--rep); border-radius: 12px; font-family: 'DM Mono', monospace; font-size: 11px; cursor: pointer; }
+        .rep-chip.on { background: var(--rep); color: #0c0f14; font-weight: 700; }
+        .rep-card { width: 100%; display: flex; gap: 6px; align-items: center; background: #141d2b; border: 1px solid #1e2a3a; border-left: 3px solid var(--rep); border-radius: 8px; padding: 4px 6px; }
+        .rep-card.on { border-color: var(--rep); }
+        .rep-card-main { flex: 1; min-width: 0; display: flex; gap: 8px; align-items: center; background: transparent; border: none; color: inherit; font-family: inherit; text-align: left; cursor: pointer; padding: 4px 0; }
+        .rep-dot { width: 10px; height: 10px; border-radius: 50%; background: var(--rep); flex-shrink: 0; }
+        .rep-name { font-size: 12px; font-weight: 700; white-space: nowrap; }
+        .rep-stat { font-size: 10px; color: #6b7280; font-family: 'DM Mono', monospace; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; margin-left: auto; }
+        .export-bar { display: flex; gap: 6px; align-items: center; margin-bottom: 8px; }
+        .export-btn { padding: 4px 10px; background: #1e2633; border: none; color: #9ca3af; border-radius: 6px; font-family: 'DM Mono', monospace; font-size: 11px; cursor: pointer; }
         .loc-actions { display: flex; gap: 4px; flex-shrink: 0; }
         .icon-btn { width: 30px; height: 30px; background: #1e2633; border: none; border-radius: 6px; cursor: pointer; display: flex; align-items: center; justify-content: center; color: #6b7280; font-size: 14px; transition: all 0.15s; }
         .icon-btn.done { background: #14532d; color: #22c55e; }
+        .conf { background: none; border: none; font-size: 11px; margin-right: 5px; cursor: pointer; color: #64748b; padding: 0; }
+        .conf-manual { color: #60a5fa; }
+        .conf-high { color: #22c55e; }
+        .conf-medium { color: #eab308; }
+        .conf-low { color: #f87171; }
+        .prio-must { color: #f87171; }
+        .prio-high { color: #f97316; }
+        .prio-optional { color: #4b5563; }
+        .picker-map { height: 220px; border-radius: 10px; overflow: hidden; border: 1px solid #1e2a3a; flex-shrink: 0; }
+        .picker-list { display: flex; flex-direction: column; gap: 4px; }
+        .picker-row { display: flex; gap: 8px; align-items: flex-start; text-align: left; background: #141d2b; border: 1px solid #1e2a3a; border-radius: 8px; padding: 7px 10px; color: #cbd5e1; font-size: 11px; cursor: pointer; }
+        .picker-row.on { border-color: #f97316; background: #1c1510; }
+        .picker-text { flex: 1; min-width: 0; }
+        .attention { background: #1c1410; border: 1px solid #7c2d12; border-radius: 10px; padding: 8px 10px; margin-bottom: 8px; display: flex; flex-direction: column; gap: 6px; }
+        .attention-row { display: flex; gap: 8px; align-items: center; }
+        .lunch-row { margin: -2px 0 6px 36px; padding: 4px 10px; border-left: 2px dashed #eab308; font-size: 10px; color: #eab308; font-family: 'DM Mono', monospace; }
+        .dir-list { display: flex; flex-direction: column; gap: 6px; }
+        .dir-leg { background: #141d2b; border: 1px solid #1e2a3a; border-radius: 10px; overflow: hidden; }
+        .dir-leg.on { border-color: #fde047; }
+        .dir-leg.done { opacity: 0.5; }
+        .dir-head { width: 100%; display: flex; gap: 10px; align-items: center; background: none; border: none; color: inherit; text-align: left; padding: 8px 10px; cursor: pointer; font-family: inherit; }
+        .dir-no { width: 22px; height: 22px; border-radius: 50%; background: #1e2633; color: #9ca3af; font-size: 11px; display: flex; align-items: center; justify-content: center; flex-shrink: 0; font-family: 'DM Mono', monospace; }
+        .dir-leg.on .dir-no { background: #fde047; color: #0c0f14; }
+        .dir-to { display: flex; flex-direction: column; min-width: 0; font-size: 12px; }
+        .dir-to b { font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+        .dir-to span { font-size: 10px; color: #60a5fa; font-family: 'DM Mono', monospace; }
+        .dir-steps { list-style: none; border-top: 1px solid #1e2a3a; padding: 4px 10px 8px; }
+        .dir-steps li { display: flex; gap: 10px; align-items: baseline; padding: 5px 0; font-size: 12px; color: #cbd5e1; border-bottom: 1px dashed #1e2a3a; }
+        .dir-steps li:last-child { border-bottom: none; }
+        .dir-icon { width: 18px; text-align: center; color: #fde047; flex-shrink: 0; }
+        .dir-text { flex: 1; }
+        .dir-dist { font-size: 10px; color: #64748b; font-family: 'DM Mono', monospace; white-space: nowrap; }
+        .trip-bar { display: flex; gap: 8px; margin-bottom: 8px; }
+        .trip-bar label { flex: 1; min-width: 0; display: flex; flex-direction: column; gap: 2px; }
+        .trip-bar span { font-size: 9px; color: #4b5563; font-family: 'DM Mono', monospace; text-transform: uppercase; }
+        .trip-bar .field { padding: 5px 6px; font-size: 11px; }
+        .select-bar { display: flex; gap: 6px; align-items: center; flex-wrap: wrap; margin-bottom: 8px; }
+        .select-bar .field { width: auto; padding: 4px 6px; font-size: 11px; }
+        .export-btn:disabled { opacity: 0.4; }
+        .loc-check { width: 16px; height: 16px; accent-color: #f97316; flex-shrink: 0; }
+        .icon-btn.pin-on { background: #3b2a0e; border-color: #f97316; }
+        .drag-handle { color: #475569; font-size: 14px; cursor: grab; touch-action: none; user-select: none; padding: 4px 0; letter-spacing: -3px; }
+        .loc-item.dragging { opacity: 0.5; border-style: dashed; }
+        .loc-item.drop-before { box-shadow: 0 -2px 0 #f97316; }
+        .loc-item.drop-after { box-shadow: 0 2px 0 #f97316; }
+        .loc-eta.pin { color: #f97316; }
+        .lock-link { display: block; margin: -4px auto 2px; background: none; border: none; color: #334155; font-size: 10px; cursor: pointer; padding: 0 8px; font-family: 'DM Mono', monospace; }
+        .lock-link.on { color: #f97316; }
         .icon-btn.nav-btn { background: #1e3a5f; color: #60a5fa; text-decoration: none; }
         .icon-btn.del { background: #2d1616; color: #f87171; }
 
@@ -574,6 +1560,40 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
         .btn-add:disabled { opacity: 0.4; cursor: not-allowed; }
         .btn-bulk-toggle { padding: 11px 14px; background: #1e2633; color: #9ca3af; border: none; border-radius: 8px; font-family: 'Syne', sans-serif; font-weight: 700; font-size: 12px; cursor: pointer; white-space: nowrap; }
         .row { display: flex; gap: 8px; }
+        .section-label { font-size: 11px; color: #4b5563; font-family: 'DM Mono', monospace; margin-bottom: 4px; }
+        .weekday-picker { display: flex; gap: 4px; }
+        .weekday { flex: 1; padding: 6px 0; background: #141d2b; border: 1px solid #1e2a3a; color: #6b7280; border-radius: 6px; font-family: 'DM Mono', monospace; font-size: 11px; cursor: pointer; }
+        .weekday.on { background: #2c1810; border-color: #f97316; color: #f97316; }
+        .plan-preview { display: flex; flex-direction: column; gap: 4px; padding: 8px; border: 1px solid #1e2a3a; border-radius: 8px; }
+        .plan-row { display: flex; gap: 8px; font-size: 11px; font-family: 'DM Mono', monospace; color: #9ca3af; align-items: baseline; }
+        .plan-row.skipped { color: #f87171; }
+        .plan-date { width: 92px; flex-shrink: 0; color: #e8e3db; }
+        .plan-count, .plan-drive { flex-shrink: 0; }
+        .plan-count b { color: #f97316; }
+        .plan-names { flex: 1; min-width: 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; color: #4b5563; }
+        .import-box { display: flex; flex-direction: column; gap: 6px; padding: 8px; border: 1px solid #1e2a3a; border-radius: 8px; }
+        .import-pick { text-align: center; overflow: hidden; text-overflow: ellipsis; }
+        .import-mapping { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px; }
+        .import-table { display: flex; flex-direction: column; gap: 4px; max-height: 280px; overflow-y: auto; }
+        .import-row { display: flex; gap: 8px; align-items: center; background: #141d2b; border: 1px solid #1e2a3a; border-radius: 8px; padding: 6px 8px; }
+        .import-row.failed { border-color: #7f1d1d; }
+        .import-status { width: 16px; flex-shrink: 0; font-family: 'DM Mono', monospace; font-size: 12px; color: #6b7280; }
+        .import-row.ok .import-status { color: #22c55e; }
+        .import-row.failed .import-status { color: #f87171; }
+        .check-row { display: flex; gap: 8px; align-items: center; font-size: 12px; color: #9ca3af; }
+        .report-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 6px; }
+        .report-stat { background: #141d2b; border: 1px solid #1e2a3a; border-radius: 8px; padding: 8px; display: flex; flex-direction: column; gap: 2px; }
+        .report-stat b { font-family: 'DM Mono', monospace; font-size: 15px; color: #e8e3db; }
+        .report-stat span { font-size: 9px; color: #4b5563; font-family: 'DM Mono', monospace; text-transform: uppercase; letter-spacing: 1px; }
+        .report-outcomes { display: flex; flex-wrap: wrap; gap: 4px 12px; font-size: 11px; color: #9ca3af; }
+        .report-outcomes b { color: #e8e3db; } .report-outcomes .late { color: #f87171; }
+        .report-bar-row { display: flex; gap: 8px; align-items: center; font-size: 11px; font-family: 'DM Mono', monospace; color: #9ca3af; }
+        .report-bar { flex: 1; min-width: 40px; height: 10px; }
+        .report-bar-planned { height: 100%; background: #1e2a3a; border-radius: 3px; overflow: hidden; }
+        .report-bar-visited { height: 100%; background: #22c55e; }
+        .provider-box { display: flex; flex-direction: column; gap: 6px; padding: 8px; border: 1px solid #1e2a3a; border-radius: 8px; }
+        .provider-title { font-size: 11px; color: #9ca3af; font-weight: 700; }
+        .provider-num { flex: 1; min-width: 0; display: flex; flex-direction: column; gap: 2px; font-size: 9px; color: #4b5563; font-family: 'DM Mono', monospace; text-transform: uppercase; }
 
         .leaflet-container { width: 100% !important; height: 100% !important; }
         .leaflet-control-zoom { margin-bottom: 16px !important; margin-right: 16px !important; }
@@ -582,15 +1602,20 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
       <div className="header">
         <div className="header-top">
           <div className="logo">FIELD<span>ROUTE</span></div>
-          <button className={`week-btn ${activeWeek === 1 ? "active" : ""}`} onClick={() => { setActiveWeek(1); setActiveDay(1); }}>W1</button>
-          <button className={`week-btn ${activeWeek === 2 ? "active" : ""}`} onClick={() => { setActiveWeek(2); setActiveDay(7); }}>W2</button>
+          <button className="week-btn" onClick={() => setActiveDate(d => addDays(d, -7))} title="Previous week">‹</button>
+          <label className="week-label" title="Pick a date">
+            {fmtWeek(activeDate)}
+            <input type="date" className="date-picker" value={activeDate} onChange={e => e.target.value && setActiveDate(e.target.value)} />
+          </label>
+          <button className="week-btn" onClick={() => setActiveDate(d => addDays(d, 7))} title="Next week">›</button>
+          <button className={`week-btn ${startOfWeek(activeDate) === startOfWeek(today) ? "active" : ""}`} onClick={() => setActiveDate(today)}>Today</button>
           <div className={`ready-dot ${dbReady ? "on" : ""}`}>{dbReady ? "● RDY" : "● ..."}</div>
         </div>
         <div className="day-tabs">
           {visibleDays.map(d => (
-            <button key={d} className={`day-tab ${activeDay === d ? "active" : ""}`} onClick={() => setActiveDay(d)}>
-              Day {activeWeek === 1 ? d : d - 6}
-              <span className="ct">{dayData[d].locations.length}</span>
+            <button key={d} className={`day-tab ${activeDate === d ? "active" : ""} ${d === today ? "today" : ""}`} onClick={() => setActiveDate(d)}>
+              {fmtDay(d)}
+              <span className="ct">{dayData[d]?.locations.length || 0}</span>
             </button>
           ))}
         </div>
@@ -599,10 +1624,43 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
       <div className="status-bar">
         {(optimizing || geocoding) && <div className="spinner" />}
         <span>{status || "Ready · Select a day and add stops"}</span>
+        <button className="hist-btn" onClick={() => stepEdit("undo")} disabled={!history.undo.length || history.date !== activeDate}
+          title={history.undo.length ? `Undo ${history.undo[history.undo.length - 1].label}` : "Nothing to undo"}>↶</button>
+        <button className="hist-btn" onClick={() => stepEdit("redo")} disabled={!history.redo.length || history.date !== activeDate}
+          title={history.redo.length ? `Redo ${history.redo[history.redo.length - 1].label}` : "Nothing to redo"}>↷</button>
       </div>
 
+      {undoToast && (
+        <div className="undo-toast">
+          <span>Done: {undoToast}</span>
+          <button onClick={() => stepEdit("undo")}>Undo</button>
+          <button className="dismiss" onClick={() => setUndoToast(null)}>✕</button>
+        </div>
+      )}
+
+      {visitSheetId && currentDay.locations.some(l => l.id === visitSheetId) && (
+        <VisitSheet loc={currentDay.locations.find(l => l.id === visitSheetId)} date={activeDate}
+          onSave={(visit, visited) => saveVisit(visitSheetId, visit, visited)} onClose={() => setVisitSheetId(null)} />
+      )}
+
+      {picker && (
+        <GeocodePicker title={picker.title} query={picker.query} candidates={picker.candidates} error={picker.error} current={picker.current}
+          onSearch={searchCandidates} onPick={(point, query) => placeStop(point, query, picker.target)} onClose={() => setPicker(null)} />
+      )}
+
+      {arrival && (
+        <div className="arrival-bar">
+          <span>📍 At <b>{currentDay.locations.find(l => l.id === arrival)?.name || "stop"}</b>?</span>
+          <button className="btn-nav" onClick={() => answerArrival(true)}>✓ Visited</button>
+          <button className="btn-bulk-toggle" onClick={() => answerArrival(false)}>Not now</button>
+        </div>
+      )}
+
       <div className={`map-wrapper ${mapFullscreen ? "fullscreen" : ""}`}>
-        <MapView locations={sortedLocs} route={currentDay.routeGeometry} onToggleVisited={toggleVisited} isFullscreen={mapFullscreen} />
+        <MapView locations={sortedLocs} route={currentDay.routeGeometry} routes={shownRoutes} position={position} region={activeRegion(regionCfg)}
+          activeLeg={activeLeg != null ? legs[activeLeg].coordinates : null} focusLeg={legPick != null}
+          weekStops={weekStops} customers={territoryCustomers} visitPoints={visitPoints} territory={activeTerritory(territoryCfg)} lasso={lasso}
+          onAddAt={addAt} onLasso={lassoSelect} onToggleVisited={toggleVisited} onOpenVisit={setVisitSheetId} isFullscreen={mapFullscreen} />
         <button className="map-fullscreen-btn" onClick={() => setMapFullscreen(v => !v)}>
           {mapFullscreen ? "✕ Exit" : "⤢ Full"}
         </button>
@@ -627,6 +1685,21 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
               <div className="stat-cell">
                 <div className="stat-v" style={{ color: "#a78bfa", fontSize: 13 }}>{fmtDist(currentDay.totalDist)}</div>
                 <div className="stat-l">{fmtTime(currentDay.totalTime)}</div>
+                {currentDay.estimated && <div className="est-badge" title="Offline: straight-line estimate, not road routing">estimated</div>}
+              </div>
+            )}
+            {timeline && (
+              <div className="stat-cell" title="When the last stop is done, including service and lunch">
+                <div className="stat-v" style={{ color: timeline.overflow ? "#f87171" : "#22c55e", fontSize: 13 }}>{fmtClock(timeline.end)}</div>
+                <div className="stat-l">Day ends</div>
+              </div>
+            )}
+            {currentDay.manual && currentDay.optimized && !dayRoutes && (
+              <div className="stat-cell" title="Manual order compared with the last optimized order">
+                <div className="stat-v" style={{ color: currentDay.manual.time > currentDay.optimized.time ? "#f87171" : "#22c55e", fontSize: 13 }}>
+                  {signed(currentDay.manual.time - currentDay.optimized.time, fmtTime)}
+                </div>
+                <div className="stat-l">{signed(currentDay.manual.dist - currentDay.optimized.dist, fmtDist)} vs opt.</div>
               </div>
             )}
           </div>
@@ -642,6 +1715,11 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
             {currentDay.optimizedOrder && (
               <button className="btn-nav" onClick={navigateNextStop}>▶ Next</button>
             )}
+            <button className={`btn-track ${currentDay.fitShift ? "on" : ""}`} onClick={toggleFitShift} title="Fit to shift: leave out low-priority stops that don't fit the working hours">🎯</button>
+            <button className={`btn-track ${tracking ? "on" : ""}`} onClick={toggleTracking} title="Live GPS tracking">📡</button>
+            {tracking && position && currentDay.optimizedOrder && (
+              <button className="btn-track" onClick={() => rerouteFrom(position, trackScope())} disabled={optimizing} title="Re-optimize the remaining stops from here">↻</button>
+            )}
             <button className="btn-clear" onClick={clearDay}>✕</button>
           </div>
 
@@ -652,6 +1730,15 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
             <button className={`panel-tab ${activeTab === "add" ? "active" : ""}`} onClick={() => setActiveTab("add")}>
               + Add Stop
             </button>
+            <button className={`panel-tab ${activeTab === "directions" ? "active" : ""}`} onClick={() => setActiveTab("directions")}>
+              🧭 Directions
+            </button>
+            <button className={`panel-tab ${activeTab === "customers" ? "active" : ""}`} onClick={() => setActiveTab("customers")}>
+              👤 Customers
+            </button>
+            <button className={`panel-tab ${activeTab === "reports" ? "active" : ""}`} onClick={() => setActiveTab("reports")}>
+              📊 Reports
+            </button>
             <button className={`panel-tab ${activeTab === "settings" ? "active" : ""}`} onClick={() => setActiveTab("settings")}>
   ⚙ Routes
 </button>
@@ -659,28 +1746,202 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
 
           <div className="scroll-area">
             {activeTab === "list" && (
-              <div className="loc-list">
+              <div className="loc-list" ref={listRef}>
+                <div className="trip-bar">
+                  <label><span>Start</span>
+                    <select className="field" value={currentDay.trip?.start || ""} onChange={e => setTrip({ start: e.target.value || null })}>
+                      <option value="">{homePlace ? `Default · ${homeAddress.substring(0, 24)}` : "None"}</option>
+                      {allPlaces.filter(p => p.id !== "home").map(p => <option key={p.id} value={p.id}>{p.id === "office" ? "Office / end point" : p.name}</option>)}
+                    </select>
+                  </label>
+                  <label><span>End</span>
+                    <select className="field" value={currentDay.trip?.end || ""} onChange={e => setTrip({ end: e.target.value || null })}>
+                      <option value="">{officePlace ? `Default · ${officeAddress.substring(0, 24)}` : "None"}</option>
+                      <option value="round">↺ Return to start</option>
+                      <option value="open">No fixed end</option>
+                      {allPlaces.filter(p => p.id !== "office").map(p => <option key={p.id} value={p.id}>{p.id === "home" ? "Home / start point" : p.name}</option>)}
+                    </select>
+                  </label>
+                </div>
+                {team.length > 0 && (
+                  <div className="rep-chips">
+                    <span className="rep-chips-label">Reps today</span>
+                    {team.map(r => (
+                      <button key={r.id} className={`rep-chip ${(currentDay.repIds || []).includes(r.id) ? "on" : ""}`}
+                        style={{ "--rep": r.color }} onClick={() => toggleRepForDay(r.id)}>{r.name}</button>
+                    ))}
+                  </div>
+                )}
+                {dayRoutes && (
+                  <div className="rep-routes">
+                    <button className={`rep-chip ${viewRep === "all" ? "on" : ""}`} style={{ "--rep": "#6b7280" }} onClick={() => setViewRep("all")}>All</button>
+                    {dayRoutes.map(r => {
+                      const stopsOf = sortedMiddle.filter(l => l.repId === r.repId);
+                      const url = mapsRouteUrl([...stopsOf.filter(l => !l.visited), ...(r.endLoc ? [r.endLoc] : [])]);
+                      return (
+                        <div key={r.repId} className={`rep-card ${viewRep === r.repId ? "on" : ""}`} style={{ "--rep": r.color }}>
+                          <button className="rep-card-main" onClick={() => setViewRep(viewRep === r.repId ? "all" : r.repId)}>
+                            <span className="rep-dot" />
+                            <span className="rep-name">{r.name}</span>
+                            <span className="rep-stat">{stopsOf.filter(l => l.visited).length}/{r.stopCount} · {fmtDist(r.totalDist)} · {fmtTime(r.totalTime)}</span>
+                          </button>
+                          {url && <a className="icon-btn nav-btn" href={url} target="_blank" rel="noopener noreferrer" title="Open this rep's route in Google Maps">↗</a>}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+                {currentDay.optimizedOrder && sortedLocs.length > 0 && (
+                  <div className="export-bar">
+                    <span className="rep-chips-label">Export</span>
+                    <button className="export-btn" onClick={() => exportDay("gpx")}>GPX</button>
+                    <button className="export-btn" onClick={() => exportDay("kml")}>KML</button>
+                    <button className="export-btn" onClick={() => exportDay("csv")}>CSV</button>
+                    <button className="export-btn" onClick={() => exportDay("sheet")}>🖨 Day sheet</button>
+                  </div>
+                )}
+                {lasso && (
+                  <div className="select-bar">
+                    <input className="field" placeholder="Territory name" value={territoryName} onChange={e => setTerritoryName(e.target.value)} />
+                    <button className="export-btn" disabled={!territoryName.trim()} onClick={saveTerritory}>🗺 Save territory</button>
+                    <button className="icon-btn del" onClick={() => setLasso(null)}>×</button>
+                  </div>
+                )}
+                {currentDay.locations.length > 0 && (selecting ? (
+                  <div className="select-bar">
+                    <span className="rep-chips-label">{selected.length} selected</span>
+                    <button className="export-btn" onClick={() => setSelected(selected.length === currentDay.locations.length ? [] : currentDay.locations.map(l => l.id))}>
+                      {selected.length === currentDay.locations.length ? "None" : "All"}
+                    </button>
+                    <input className="field" type="date" value={transferDate || nextWorkingDay(activeDate)} onChange={e => setTransferDate(e.target.value)} />
+                    <button className="export-btn" disabled={!selected.length} onClick={() => transferStops(selected, transferDate || nextWorkingDay(activeDate), "move")}>Move</button>
+                    <button className="export-btn" disabled={!selected.length} onClick={() => transferStops(selected, transferDate || nextWorkingDay(activeDate), "copy")}>Copy</button>
+                    <button className="export-btn" disabled={!selected.length} onClick={markSelectedVisited}>✓ Visited</button>
+                    <button className="export-btn" disabled={!selected.length} onClick={deleteSelected}>🗑 Delete</button>
+                    <button className="export-btn" onClick={() => { setSelecting(false); setSelected([]); setLasso(null); }}>Done</button>
+                  </div>
+                ) : (
+                  <div className="select-bar">
+                    <button className="export-btn" onClick={() => setSelecting(true)}>☐ Select</button>
+                    {currentDay.locations.some(l => !l.visited) && (
+                      <button className="export-btn" onClick={carryOver} title="Move every unvisited stop to the next working day">
+                        ⇥ Carry over {currentDay.locations.filter(l => !l.visited).length} unvisited → {fmtDate(nextWorkingDay(activeDate))}
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {timeline?.overflow > 0 && (
+                  <div className="attention">
+                    <div className="rep-chips-label">⚠ Ends {fmtClock(timeline.end)} · {fmtTime(timeline.overflow)} past shift end ({dayPlan.shiftEnd})</div>
+                    {timeline.defer.length > 0 && (
+                      <div className="attention-row">
+                        <div className="loc-info">
+                          <div className="loc-addr">Defer to fit: {timeline.defer.map(id => currentDay.locations.find(l => l.id === id)?.name).filter(Boolean).join(", ")}</div>
+                        </div>
+                        <button className="export-btn" onClick={() => transferStops(timeline.defer, nextWorkingDay(activeDate), "move")}>
+                          Move → {fmtDate(nextWorkingDay(activeDate))}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+                {droppedStops.length > 0 && (
+                  <div className="attention">
+                    <div className="rep-chips-label">⊘ Left out · {droppedStops.length}</div>
+                    {droppedStops.map(({ loc, reason }) => (
+                      <div key={loc.id} className="attention-row">
+                        <div className="loc-info">
+                          <div className="loc-name">{PRIORITIES[priorityOf(loc)].icon} {loc.name}</div>
+                          <div className="loc-eta late">{DROP_REASONS[reason]}</div>
+                        </div>
+                        <button className="export-btn" onClick={() => setPriority(loc.id, "must")} title="Keep it on the next optimize">Must</button>
+                      </div>
+                    ))}
+                    <button className="export-btn" onClick={() => transferStops(droppedStops.map(d => d.loc.id), nextWorkingDay(activeDate), "move")}>
+                      Move all → {fmtDate(nextWorkingDay(activeDate))}
+                    </button>
+                  </div>
+                )}
+                {currentDay.attention?.length > 0 && (
+                  <div className="attention">
+                    <div className="rep-chips-label">⚠ Needs attention · {currentDay.attention.length}</div>
+                    {currentDay.attention.map(a => (
+                      <div key={a.id} className="attention-row">
+                        <div className="loc-info">
+                          <div className="loc-addr">{a.address}</div>
+                          <div className="loc-eta late">{a.error}</div>
+                        </div>
+                        <button className="export-btn" onClick={() => openPicker(a.address, { kind: "queue", id: a.id, name: a.name })} disabled={geocoding}>Fix</button>
+                        <button className="icon-btn del" onClick={() => dismissAttention(a.id)}>×</button>
+                      </div>
+                    ))}
+                  </div>
+                )}
                 {sortedLocs.length === 0 ? (
                   <div className="empty">
                     <div className="empty-icon">🗺️</div>
                     <div className="empty-text">No stops yet.<br />Tap <strong>+ Add Stop</strong> to begin.</div>
                   </div>
                 ) : sortedLocs.map((loc, idx) => {
-  const isFixed = loc.id === "__home__" || loc.id === "__office__";
+  const isFixed = isStartPoint(loc) || isEndPoint(loc);
+  // Manual ordering works on single-route days; team routes come from the VRP split
+  const movable = !isFixed && !dayRoutes;
+  const midIdx = movable ? sortedMiddle.findIndex(l => l.id === loc.id) : -1;
+  const next = movable ? sortedMiddle[midIdx + 1] : null;
+  const dropping = drag && drag.id !== loc.id && movable && (drag.over === midIdx || (drag.over === sortedMiddle.length && !next));
   return (
-    <div key={loc.id} className={`loc-item ${loc.visited ? "visited" : ""}`}
+    <Fragment key={loc.id}>
+    <div data-drag-id={movable ? loc.id : undefined}
+      className={`loc-item ${loc.visited ? "visited" : ""} ${drag?.id === loc.id ? "dragging" : ""} ${dropping ? (drag.over === midIdx ? "drop-before" : "drop-after") : ""}`}
       style={isFixed ? { borderColor: "#3b4a6b", background: "#0e1628" } : {}}>
+      {selecting && !isFixed && <input type="checkbox" className="loc-check" checked={selected.includes(loc.id)} onChange={() => toggleSelected(loc.id)} />}
+      {movable && !selecting && <div className="drag-handle" title="Drag to reorder" {...handleProps(loc.id)}>⋮⋮</div>}
       <div className="loc-num"
-        style={isFixed ? { background: "#3b82f6", fontSize: 9 } : {}}>
-        {loc.id === "__home__" ? "S" : loc.id === "__office__" ? "E" : idx + 1}
+        style={isFixed ? { background: "#3b82f6", fontSize: 9 } : loc.repColor && !loc.visited ? { background: loc.repColor } : {}}>
+        {isStartPoint(loc) ? "S" : isEndPoint(loc) ? "E" : loc.stopNo ?? idx + 1}
       </div>
-      <div className="loc-info">
-        <div className="loc-name">{loc.name}</div>
-        <div className="loc-addr">{loc.id === "__home__" ? "Start Point" : loc.id === "__office__" ? "End Point" : loc.address}</div>
+      <div className={`loc-info ${isFixed ? "" : "clickable"}`} onClick={isFixed ? undefined : () => setVisitSheetId(loc.id)}>
+        <div className="loc-name">
+          {!isFixed && (
+            <button className={`conf conf-${loc.confidence || "none"}`} disabled={geocoding}
+              title={`${CONFIDENCE[loc.confidence]?.label || "Pin not reviewed"} · tap to adjust`}
+              onClick={e => { e.stopPropagation(); openPicker(loc.address, { kind: "stop", id: loc.id, name: loc.name }, { lat: loc.lat, lng: loc.lng, display: loc.display || "", confidence: loc.confidence || "medium" }); }}>
+              {CONFIDENCE[loc.confidence]?.icon || "◌"}
+            </button>
+          )}
+          {!isFixed && (
+            <button className={`conf prio-${priorityOf(loc)}`} title={`${PRIORITIES[priorityOf(loc)].label}${loc.penalty != null ? ` · worth ${loc.penalty} min` : ""} · tap to change`}
+              onClick={e => { e.stopPropagation(); setPriority(loc.id, nextPriority(loc)); }}>
+              {PRIORITIES[priorityOf(loc)].icon}
+            </button>
+          )}
+          {loc.name}
+        </div>
+        <div className="loc-addr">{isStartPoint(loc) ? "Start Point" : isEndPoint(loc) ? "End Point" : loc.address}</div>
+        {loc.unassigned && <div className="loc-eta late">⚠ no rep could fit this stop</div>}
+        {movable && loc.pinned && <div className="loc-eta pin">📌 pinned at #{(loc.pinPos ?? midIdx) + 1}</div>}
+        {(loc.visit?.outcome || loc.visit?.notes || loc.visit?.photoIds?.length > 0) && (
+          <div className="loc-visit">
+            {loc.visit.outcome && `${OUTCOMES[loc.visit.outcome].icon} ${OUTCOMES[loc.visit.outcome].label}`}
+            {loc.visit.orderValue != null && ` · ${fmtMoney(loc.visit.orderValue)}`}
+            {loc.visit.photoIds?.length > 0 && ` · 📷${loc.visit.photoIds.length}`}
+            {loc.visit.notes && ` · ${loc.visit.notes}`}
+          </div>
+        )}
+        {(loc.eta != null || loc.openTime || loc.closeTime) && (
+          <div className={`loc-eta ${loc.windowConflict ? "late" : ""}`}>
+            {loc.eta != null && `${isStartPoint(loc) ? "Depart" : "ETA"} ${fmtClock(loc.eta)}${loc.etd != null && loc.etd > loc.eta ? ` · ETD ${fmtClock(loc.etd)}` : ""}`}
+            {(loc.openTime || loc.closeTime) && `${loc.eta != null ? " · " : ""}🕘 ${loc.openTime || "…"}–${loc.closeTime || "…"}`}
+            {loc.windowConflict && " · ⚠ misses window"}
+          </div>
+        )}
       </div>
       <div className="loc-actions">
         {!isFixed && (
           <>
+            {movable && (
+              <button className={`icon-btn ${loc.pinned ? "pin-on" : ""}`} title="Pin at this position" onClick={() => togglePin(loc.id)}>📌</button>
+            )}
             <button className={`icon-btn ${loc.visited ? "done" : ""}`} onClick={() => toggleVisited(loc.id)}>
               {loc.visited ? "✓" : "○"}
             </button>
@@ -693,13 +1954,25 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
         )}
       </div>
     </div>
+    {timeline?.lunch?.afterId === loc.id && (
+      <div className="lunch-row">🍽 Lunch {fmtClock(timeline.lunch.start)}–{fmtClock(timeline.lunch.end)}</div>
+    )}
+    {next && (
+      <button className={`lock-link ${loc.lockNext ? "on" : ""}`} onClick={() => toggleLock(loc.id)}
+        title={loc.lockNext ? "Unlock: let the optimizer separate these stops" : "Lock: keep the next stop right after this one"}>
+        {loc.lockNext ? "🔗 locked" : "🔗"}
+      </button>
+    )}
+    </Fragment>
   );
 })}
               </div>
             )}
             {activeTab === "settings" && (
   <div className="add-form">
-    <div style={{ fontSize: 11, color: "#4b5563", fontFamily: "'DM Mono',monospace", marginBottom: 4 }}>🟢 START POINT</div>
+    <div style={{ fontSize: 11, color: "#4b5563", fontFamily: "'DM Mono',monospace", marginBottom: 4 }}>🗺 REGION</div>
+    <RegionPanel regionCfg={regionCfg} onChange={cfg => setRegionCfg(setRegionConfig(cfg))} onStatus={setStatus} />
+    <div style={{ fontSize: 11, color: "#4b5563", fontFamily: "'DM Mono',monospace", marginBottom: 4, marginTop: 12 }}>🟢 START POINT</div>
     <input className="field" placeholder="Home address or paste Google Maps link" value={homeAddress} onChange={e => setHomeAddress(e.target.value)} />
     <button className="btn-add" onClick={() => saveHomeOffice("home", homeAddress)} disabled={!homeAddress.trim()}>Save Start Point</button>
     {homeCoords && <div style={{ fontSize: 10, color: "#22c55e", fontFamily: "'DM Mono',monospace" }}>✓ Saved: {homeAddress.substring(0, 40)}</div>}
@@ -707,12 +1980,145 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
     <input className="field" placeholder="Office address or paste Google Maps link" value={officeAddress} onChange={e => setOfficeAddress(e.target.value)} />
     <button className="btn-add" onClick={() => saveHomeOffice("office", officeAddress)} disabled={!officeAddress.trim()}>Save End Point</button>
     {officeCoords && <div style={{ fontSize: 10, color: "#22c55e", fontFamily: "'DM Mono',monospace" }}>✓ Saved: {officeAddress.substring(0, 40)}</div>}
+    <div style={{ fontSize: 11, color: "#4b5563", fontFamily: "'DM Mono',monospace", marginBottom: 4, marginTop: 12 }}>🏭 SAVED PLACES</div>
+    {places.map(p => (
+      <div key={p.id} className="rep-card" style={{ "--rep": "#3b82f6" }}>
+        <div className="rep-card-main">
+          <span className="rep-name">{p.name}</span>
+          <span className="rep-stat">{p.address}</span>
+        </div>
+        <button className="icon-btn del" onClick={() => removePlace(p.id)}>×</button>
+      </div>
+    ))}
+    <div className="row">
+      <input className="field" style={{ flex: "0 0 35%" }} placeholder="Name (Depot)" value={placeForm.name} onChange={e => setPlaceForm(f => ({ ...f, name: e.target.value }))} />
+      <input className="field" placeholder="Address or Google Maps link" value={placeForm.address} onChange={e => setPlaceForm(f => ({ ...f, address: e.target.value }))} />
+    </div>
+    <button className="btn-add" onClick={addPlace} disabled={!placeForm.name.trim() || !placeForm.address.trim()}>Add Place</button>
+    <div style={{ fontSize: 11, color: "#4b5563", fontFamily: "'DM Mono',monospace", marginBottom: 4, marginTop: 12 }}>🕘 WORKING HOURS</div>
+    <div className="row">
+      <label className="provider-num"><span>Shift start</span>
+        <input className="field" type="time" value={dayPlan.shiftStart} onChange={e => updateDayPlan({ shiftStart: e.target.value })} />
+      </label>
+      <label className="provider-num"><span>Shift end</span>
+        <input className="field" type="time" value={dayPlan.shiftEnd} onChange={e => updateDayPlan({ shiftEnd: e.target.value })} />
+      </label>
+      <label className="provider-num"><span>Per stop min</span>
+        <input className="field" type="number" min="0" value={dayPlan.serviceMin} onChange={e => updateDayPlan({ serviceMin: Number(e.target.value) || 0 })} />
+      </label>
+    </div>
+    <div className="row">
+      <label className="provider-num"><span>Lunch from</span>
+        <input className="field" type="time" value={dayPlan.lunchFrom} onChange={e => updateDayPlan({ lunchFrom: e.target.value })} />
+      </label>
+      <label className="provider-num"><span>Lunch by</span>
+        <input className="field" type="time" value={dayPlan.lunchTo} onChange={e => updateDayPlan({ lunchTo: e.target.value })} />
+      </label>
+      <label className="provider-num"><span>Lunch min</span>
+        <input className="field" type="number" min="0" value={dayPlan.lunchMin} onChange={e => updateDayPlan({ lunchMin: Number(e.target.value) || 0 })} />
+      </label>
+    </div>
+    <div style={{ fontSize: 10, color: "#4b5563", marginBottom: 4 }}>Stops without their own service time take the per-stop minutes. Lunch is taken after the first stop finished in the lunch window; set 0 to skip it. Changes apply on the next optimize.</div>
+    <div style={{ fontSize: 11, color: "#4b5563", fontFamily: "'DM Mono',monospace", marginBottom: 4, marginTop: 12 }}>📡 LIVE TRACKING</div>
+    <div className="row">
+      <label className="provider-num"><span>Arrival radius m</span>
+        <input className="field" type="number" min="10" value={trackingCfg.radius} onChange={e => updateTrackingCfg({ radius: Number(e.target.value) || DEFAULT_TRACKING.radius })} />
+      </label>
+      <label className="provider-num"><span>Dwell min</span>
+        <input className="field" type="number" min="1" value={trackingCfg.dwellMin} onChange={e => updateTrackingCfg({ dwellMin: Number(e.target.value) || DEFAULT_TRACKING.dwellMin })} />
+      </label>
+      <label className="provider-num"><span>Off route m</span>
+        <input className="field" type="number" min="50" value={trackingCfg.offRouteM} onChange={e => updateTrackingCfg({ offRouteM: Number(e.target.value) || DEFAULT_TRACKING.offRouteM })} />
+      </label>
+    </div>
+    <label className="check-row">
+      <input type="checkbox" checked={trackingCfg.autoReroute} onChange={e => updateTrackingCfg({ autoReroute: e.target.checked })} />
+      Re-route automatically when off plan
+    </label>
+    <div style={{ fontSize: 11, color: "#4b5563", fontFamily: "'DM Mono',monospace", marginBottom: 4, marginTop: 12 }}>👥 REPS</div>
+    {team.map(r => (
+      <div key={r.id} className="rep-card" style={{ "--rep": r.color }}>
+        <div className="rep-card-main">
+          <span className="rep-dot" />
+          <span className="rep-name">{r.name}</span>
+          <span className="rep-stat">{[r.maxStops && `≤${r.maxStops} stops`, r.maxHours && `≤${r.maxHours}h`, !r.start && "global start"].filter(Boolean).join(" · ")}</span>
+        </div>
+        <button className="icon-btn del" onClick={() => removeRep(r.id)}>×</button>
+      </div>
+    ))}
+    <input className="field" placeholder="Rep name" value={repForm.name} onChange={e => setRepForm(f => ({ ...f, name: e.target.value }))} />
+    <input className="field" placeholder="Rep start (blank = global start point)" value={repForm.start} onChange={e => setRepForm(f => ({ ...f, start: e.target.value }))} />
+    <input className="field" placeholder="Rep end (blank = global end point)" value={repForm.end} onChange={e => setRepForm(f => ({ ...f, end: e.target.value }))} />
+    <div className="row">
+      <input className="field" type="number" min="1" placeholder="Max stops" value={repForm.maxStops} onChange={e => setRepForm(f => ({ ...f, maxStops: e.target.value }))} />
+      <input className="field" type="number" min="0.5" step="0.5" placeholder="Max hours" value={repForm.maxHours} onChange={e => setRepForm(f => ({ ...f, maxHours: e.target.value }))} />
+    </div>
+    <button className="btn-add" onClick={addRep} disabled={!repForm.name.trim()}>Add Rep</button>
+    <div style={{ fontSize: 11, color: "#4b5563", fontFamily: "'DM Mono',monospace", marginBottom: 4, marginTop: 12 }}>🛰 PROVIDERS</div>
+    {["geocoder", "router"].map(name => (
+      <div key={name} className="provider-box">
+        <div className="provider-title">{name === "geocoder" ? "Geocoding (Nominatim)" : "Routing (OSRM)"}</div>
+        <input className="field" placeholder={DEFAULT_PROVIDERS[name].baseUrl} value={providerCfg[name].baseUrl}
+          onChange={e => setProviderCfg(c => ({ ...c, [name]: { ...c[name], baseUrl: e.target.value } }))} />
+        <div className="row">
+          {[["minIntervalMs", "Gap ms"], ["timeoutMs", "Timeout ms"], ["retries", "Retries"],
+            ...(name === "router" ? [["maxTableSize", "Table max"], ["maxRoutePoints", "Route max"]] : [])].map(([key, label]) => (
+            <label key={key} className="provider-num">
+              <span>{label}</span>
+              <input className="field" type="number" min="0" value={providerCfg[name][key]}
+                onChange={e => setProviderCfg(c => ({ ...c, [name]: { ...c[name], [key]: Number(e.target.value) || 0 } }))} />
+            </label>
+          ))}
+        </div>
+      </div>
+    ))}
+    <div className="row">
+      <button className="btn-add" onClick={() => { setProviderCfg(setProviderConfig(providerCfg)); setStatus("✓ Providers saved"); }}>Save Providers</button>
+      <button className="btn-bulk-toggle" onClick={() => { setProviderCfg(setProviderConfig(DEFAULT_PROVIDERS)); setStatus("Providers reset to public servers"); }}>Reset</button>
+    </div>
+    <div style={{ fontSize: 11, color: "#4b5563", fontFamily: "'DM Mono',monospace", marginBottom: 4, marginTop: 12 }}>💾 BACKUP & SYNC</div>
+    <BackupPanel syncCfg={syncCfg} onSyncCfg={updateSyncCfg} onSync={() => runSync()} syncing={syncing}
+      onRestored={afterRestore} onStatus={setStatus} />
   </div>
 )}
+            {activeTab === "directions" && (legs?.length ? (
+              <>
+                {legPick != null && (
+                  <div className="select-bar">
+                    <button className="export-btn" onClick={() => setLegPick(null)}>⟲ Follow my progress</button>
+                  </div>
+                )}
+                <DirectionsPanel legs={legs} stops={sortedLocs} active={activeLeg} onSelect={setLegPick} />
+              </>
+            ) : (
+              <div className="empty">
+                <div className="empty-icon">🧭</div>
+                <div className="empty-text">{dayRoutes ? "Pick one rep's route to see its directions." : "Optimize the route to get turn-by-turn directions."}</div>
+              </div>
+            ))}
+            {activeTab === "reports" && <ReportsPanel days={allDays} />}
+            {activeTab === "customers" && (
+              <CustomersPanel customers={customers} days={allDays} busy={planning} territories={territoryCfg} onTerritories={cfg => setTerritoryCfg(saveTerritories(cfg))}
+                onAdd={addCustomer} onDelete={deleteCustomer} onAddToDay={addCustomerToDay}
+                onPlan={planCustomerVisits} onApply={applyCustomerPlan} />
+            )}
             {activeTab === "add" && (
               <div className="add-form">
                 <input className="field" placeholder="Shop / party name (optional)" value={nameInput} onChange={e => setNameInput(e.target.value)} />
                 <input className="field" placeholder="Address, area or paste Google Maps link" value={addressInput} onChange={e => setAddressInput(e.target.value)} onKeyDown={e => e.key === "Enter" && addLocation()} />
+                <div className="row">
+                  <input className="field" type="time" title="Opens" value={openInput} onChange={e => setOpenInput(e.target.value)} />
+                  <input className="field" type="time" title="Closes" value={closeInput} onChange={e => setCloseInput(e.target.value)} />
+                  <input className="field" type="number" min="0" placeholder="Svc min" value={serviceInput} onChange={e => setServiceInput(e.target.value)} />
+                </div>
+                <div className="row">
+                  <select className="field" title="Priority" value={priorityInput} onChange={e => setPriorityInput(e.target.value)}>
+                    {Object.entries(PRIORITIES).map(([key, p]) => <option key={key} value={key}>{p.icon} {p.label}</option>)}
+                  </select>
+                  <input className="field" type="number" min="0" title="Minutes of route time this stop is worth when fitting the day to the shift"
+                    placeholder={priorityInput === "must" ? "Never dropped" : `Worth ${PRIORITIES[priorityInput].penalty} min`}
+                    disabled={priorityInput === "must"} value={penaltyInput} onChange={e => setPenaltyInput(e.target.value)} />
+                </div>
                 <div className="row">
                   <button className="btn-add" onClick={addLocation} disabled={geocoding || !addressInput.trim()}>
                     {geocoding ? "Adding..." : "Add Stop"}
@@ -720,7 +2126,11 @@ if (startLoc && endLoc && middleLocs.length >= 1) {
                   <button className="btn-bulk-toggle" onClick={() => setShowBulk(v => !v)}>
                     {showBulk ? "↑ Hide" : "⊞ Bulk"}
                   </button>
+                  <button className="btn-bulk-toggle" onClick={() => setShowImport(v => !v)}>
+                    {showImport ? "↑ Hide" : "📂 Import"}
+                  </button>
                 </div>
+                {showImport && <ImportPanel onResolve={resolvePoint} onAdd={addImported} onStatus={setStatus} />}
                 {showBulk && (
                   <>
                     <textarea className="field" placeholder={"One address per line:\nRing Road, Surat\nAdajan Patiya\nVesu, Surat"} value={bulkInput} onChange={e => setBulkInput(e.target.value)} />
@@ -0,0 +1,99 @@
+// ============================================================
+// BACKUP / RESTORE
+// ============================================================
+// A backup is one JSON document with every day plan, customer, photo and
+// frp_* setting. Records merge by updatedAt: the newer copy of a day or
+// customer wins, and a record without updatedAt loses to one with it.
+// Deleted customers are kept as { id, deleted: true, updatedAt } tombstones
+// so a merge or sync cannot bring them back.
+import { loadAllDays, saveDay, getAllRecords, putRecord, getRecord, CUSTOMER_STORE, PHOTO_STORE } from "./db.js";
+
+export const BACKUP_APP = "field-route-planner";
+export const BACKUP_VERSION = 1;
+
+// Device-only settings that never leave the phone (sync holds the auth token)
+const LOCAL_ONLY_KEYS = ["frp_sync"];
+
+const newer = (a, b) => (a?.updatedAt || "") > (b?.updatedAt || "");
+
+// Records from `incoming` that should replace what is in `local`
+export function pickNewer(local, incoming, key) {
+  const byKey = new Map(local.map(r => [r[key], r]));
+  return incoming.filter(r => r?.[key] != null && (!byKey.has(r[key]) || newer(r, byKey.get(r[key]))));
+}
+
+export function readSettings() {
+  const out = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (k.startsWith("frp_") && !LOCAL_ONLY_KEYS.includes(k)) out[k] = localStorage.getItem(k);
+  }
+  return out;
+}
+
+const toBase64 = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+};
+const fromBase64 = (b64, type) => new Blob([Uint8Array.from(atob(b64), c => c.charCodeAt(0))], { type });
+
+export async function exportBackup({ includePhotos = true } = {}) {
+  const [days, customers, photos] = await Promise.all([
+    loadAllDays(), getAllRecords(CUSTOMER_STORE), includePhotos ? getAllRecords(PHOTO_STORE) : [],
+  ]);
+  return {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    days,
+    customers,
+    photos: await Promise.all(photos.map(async ({ blob, ...p }) => ({ ...p, type: blob.type, data: await toBase64(blob) }))),
+    settings: readSettings(),
+  };
+}
+
+// Older backup versions are upgraded here before merging
+function upgradeBackup(data) {
+  if (data?.app !== BACKUP_APP) throw new Error("Not a Field Route Planner backup");
+  if (!(data.version >= 1)) throw new Error("Unknown backup version");
+  if (data.version > BACKUP_VERSION) throw new Error("Backup is from a newer version of the app");
+  return { days: [], customers: [], photos: [], settings: {}, ...data };
+}
+
+/**
+ * Writes a backup into this device.
+ *   mode "merge"    newer records win; settings only fill keys missing here
+ *   mode "replace"  every record and setting in the backup overwrites this device's
+ * Records only present on this device are kept either way.
+ * Returns counts of what was written.
+ */
+export async function importBackup(raw, { mode = "merge" } = {}) {
+  const data = upgradeBackup(raw);
+  const replace = mode === "replace";
+  const [localDays, localCustomers] = await Promise.all([loadAllDays(), getAllRecords(CUSTOMER_STORE)]);
+
+  const days = replace ? data.days.filter(d => d?.date) : pickNewer(localDays, data.days, "date");
+  const customers = replace ? data.customers.filter(c => c?.id) : pickNewer(localCustomers, data.customers, "id");
+  for (const d of days) await saveDay(d);
+  for (const c of customers) await putRecord(CUSTOMER_STORE, c);
+
+  let photos = 0;
+  for (const p of data.photos) {
+    if (!p?.id || !p.data || (!replace && await getRecord(PHOTO_STORE, p.id))) continue;
+    const { data: b64, type, ...rest } = p;
+    await putRecord(PHOTO_STORE, { ...rest, blob: fromBase64(b64, type) });
+    photos++;
+  }
+
+  let settings = 0;
+  Object.entries(data.settings).forEach(([k, v]) => {
+    if (!k.startsWith("frp_") || LOCAL_ONLY_KEYS.includes(k) || typeof v !== "string") return;
+    if (!replace && localStorage.getItem(k) != null) return;
+    localStorage.setItem(k, v);
+    settings++;
+  });
+
+  return { days: days.length, customers: customers.length, photos, settings };
+}
@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { exportBackup, importBackup } from "../backup.js";
+import { downloadFile } from "../exporters.js";
+import { todayISO } from "../dates.js";
+
+// ============================================================
+// BACKUP & SYNC SETTINGS
+// ============================================================
+export default function BackupPanel({ syncCfg, onSyncCfg, onSync, syncing, onRestored, onStatus }) {
+  const [mode, setMode] = useState("merge");
+  const [busy, setBusy] = useState(false);
+
+  const download = async () => {
+    setBusy(true);
+    try {
+      const data = await exportBackup();
+      downloadFile(`field-route-backup-${todayISO()}.json`, JSON.stringify(data), "application/json");
+      onStatus(`✓ Backup saved · ${data.days.length} days, ${data.customers.length} customers, ${data.photos.length} photos`);
+    } catch (e) { onStatus(`✗ ${e.message}`); }
+    finally { setBusy(false); }
+  };
+
+  const restore = async (file) => {
+    if (!file) return;
+    if (mode === "replace" && !confirm("Overwrite this device's plans and settings with the backup?")) return;
+    setBusy(true);
+    try {
+      const n = await importBackup(JSON.parse(await file.text()), { mode });
+      await onRestored();
+      onStatus(`✓ Restored ${n.days} days, ${n.customers} customers, ${n.photos} photos, ${n.settings} settings`);
+    } catch (e) { onStatus(`✗ ${e instanceof SyntaxError ? "Backup file is not valid JSON" : e.message}`); }
+    finally { setBusy(false); }
+  };
+
+  return (
+    <>
+      <div className="row">
+        <button className="btn-bulk-toggle" style={{ flex: 1 }} onClick={download} disabled={busy}>⬇ Download backup</button>
+        <label className="btn-bulk-toggle" style={{ flex: 1, textAlign: "center", opacity: busy ? 0.4 : 1 }}>
+          ⬆ Restore
+          <input type="file" accept=".json,application/json" hidden disabled={busy} onChange={e => { restore(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <select className="field" style={{ width: "auto" }} value={mode} onChange={e => setMode(e.target.value)} title="How a restore treats records already on this device">
+          <option value="merge">Merge</option>
+          <option value="replace">Replace</option>
+        </select>
+      </div>
+
+      <div className="provider-box">
+        <div className="provider-title">Sync server</div>
+        <input className="field" placeholder="https://sync.example.com/api" value={syncCfg.baseUrl} onChange={e => onSyncCfg({ baseUrl: e.target.value.trim() })} />
+        <input className="field" type="password" placeholder="Access token (optional)" value={syncCfg.token} onChange={e => onSyncCfg({ token: e.target.value })} />
+        <div className="row">
+          <label className="check-row" style={{ flex: 1 }}>
+            <input type="checkbox" checked={syncCfg.enabled} disabled={!syncCfg.baseUrl} onChange={e => onSyncCfg({ enabled: e.target.checked })} />
+            Auto-sync every
+          </label>
+          <input className="field" type="number" min="1" style={{ width: 70 }} value={syncCfg.intervalMin} onChange={e => onSyncCfg({ intervalMin: Math.max(1, Number(e.target.value) || 1) })} />
+          <span className="check-row">min</span>
+        </div>
+        <div className="row">
+          <button className="btn-add" onClick={onSync} disabled={syncing || !syncCfg.baseUrl}>{syncing ? "Syncing..." : "⇅ Sync now"}</button>
+        </div>
+        <div className="check-row" style={{ fontSize: 10 }}>
+          {syncCfg.lastSync ? `Last sync ${new Date(syncCfg.lastSync).toLocaleString("en-IN", { dateStyle: "medium", timeStyle: "short" })}` : "Never synced"}
+        </div>
+      </div>
+    </>
+  );
+}
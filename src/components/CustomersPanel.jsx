@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { FREQUENCIES, lastVisitOf } from "../scheduler.js";
+import { fmtDate } from "../dates.js";
+import { fmtTime } from "../format.js";
+import { activeTerritory, inTerritory } from "../territories.js";
+
+const WEEKDAYS = [[1, "Mo"], [2, "Tu"], [3, "We"], [4, "Th"], [5, "Fr"], [6, "Sa"], [0, "Su"]];
+const EMPTY_FORM = { name: "", address: "", phone: "", frequency: "weekly", weekdays: [], lastVisited: "" };
+
+function WeekdayPicker({ value, onChange }) {
+  return (
+    <div className="weekday-picker">
+      {WEEKDAYS.map(([d, label]) => (
+        <button key={d} type="button" className={`weekday ${value.includes(d) ? "on" : ""}`}
+          onClick={() => onChange(value.includes(d) ? value.filter(x => x !== d) : [...value, d])}>{label}</button>
+      ))}
+    </div>
+  );
+}
+
+// ============================================================
+// CUSTOMERS PANEL
+// ============================================================
+export default function CustomersPanel({ customers, days, busy, territories, onTerritories, onAdd, onDelete, onAddToDay, onPlan, onApply }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [planOpts, setPlanOpts] = useState({ weeks: 2, weekdays: [1, 2, 3, 4, 5, 6], maxStops: 15 });
+  const [plan, setPlan] = useState(null);
+  const [filter, setFilter] = useState("");
+
+  const submit = async () => {
+    if (await onAdd(form)) setForm(EMPTY_FORM);
+  };
+  const runPlan = async () => setPlan(await onPlan(planOpts));
+  const apply = () => { onApply(plan); setPlan(null); };
+
+  const territory = activeTerritory(territories);
+  const shown = customers
+    .filter(c => inTerritory(c, territory))
+    .filter(c => !filter || `${c.name} ${c.address}`.toLowerCase().includes(filter.toLowerCase()))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const planned = plan ? plan.rows.reduce((n, r) => n + r.added.length, 0) : 0;
+
+  return (
+    <div className="add-form">
+      <div className="section-label">📅 SCHEDULE VISITS</div>
+      <div className="row">
+        <label className="provider-num"><span>Weeks</span>
+          <input className="field" type="number" min="1" max="8" value={planOpts.weeks} onChange={e => setPlanOpts(o => ({ ...o, weeks: Number(e.target.value) || 1 }))} />
+        </label>
+        <label className="provider-num"><span>Max stops/day</span>
+          <input className="field" type="number" min="1" value={planOpts.maxStops} onChange={e => setPlanOpts(o => ({ ...o, maxStops: Number(e.target.value) || 1 }))} />
+        </label>
+      </div>
+      <WeekdayPicker value={planOpts.weekdays} onChange={weekdays => setPlanOpts(o => ({ ...o, weekdays }))} />
+      <button className="btn-add" onClick={runPlan} disabled={busy || !customers.length || !planOpts.weekdays.length}>
+        {busy ? "Planning..." : "Plan upcoming days"}
+      </button>
+      {plan && (
+        <div className="plan-preview">
+          {plan.rows.filter(r => r.added.length || r.existing).map(r => (
+            <div key={r.date} className="plan-row">
+              <span className="plan-date">{fmtDate(r.date)}</span>
+              <span className="plan-count">{r.existing} + <b>{r.added.length}</b></span>
+              <span className="plan-drive">{fmtTime(r.drive)}</span>
+              <span className="plan-names">{r.added.map(c => c.name).join(", ")}</span>
+            </div>
+          ))}
+          {plan.skipped.map((s, i) => (
+            <div key={i} className="plan-row skipped">⚠ {s.customer.name} ({fmtDate(s.target)}): {s.reason}</div>
+          ))}
+          <div className="row">
+            <button className="btn-add" onClick={apply} disabled={!planned}>Add {planned} visits</button>
+            <button className="btn-bulk-toggle" onClick={() => setPlan(null)}>Discard</button>
+          </div>
+        </div>
+      )}
+
+      <div className="section-label" style={{ marginTop: 12 }}>👤 CUSTOMERS ({territory ? `${shown.length} of ${customers.length}` : customers.length})</div>
+      {territories.territories.length > 0 && (
+        <div className="row">
+          <select className="field" value={territories.active || ""} onChange={e => onTerritories({ ...territories, active: e.target.value || null })}>
+            <option value="">All territories</option>
+            {territories.territories.map(t => <option key={t.id} value={t.id}>🗺 {t.name}</option>)}
+          </select>
+          {territory && (
+            <button className="icon-btn del" title={`Delete territory ${territory.name}`}
+              onClick={() => onTerritories({ active: null, territories: territories.territories.filter(t => t.id !== territory.id) })}>×</button>
+          )}
+        </div>
+      )}
+      {customers.length > 5 && <input className="field" placeholder="Filter customers" value={filter} onChange={e => setFilter(e.target.value)} />}
+      {shown.map(c => {
+        const last = lastVisitOf(c, days);
+        return (
+          <div key={c.id} className="loc-item">
+            <div className="loc-info">
+              <div className="loc-name">{c.name}</div>
+              <div className="loc-addr">{c.address}</div>
+              <div className="loc-eta">
+                {FREQUENCIES[c.frequency]?.label || c.frequency}
+                {c.weekdays?.length > 0 && ` · ${WEEKDAYS.filter(([d]) => c.weekdays.includes(d)).map(([, l]) => l).join(" ")}`}
+                {` · last ${last ? fmtDate(last) : "never"}`}
+              </div>
+            </div>
+            <div className="loc-actions">
+              <button className="icon-btn" title="Add to the selected day" onClick={() => onAddToDay(c)}>+</button>
+              <button className="icon-btn del" onClick={() => onDelete(c.id)}>×</button>
+            </div>
+          </div>
+        );
+      })}
+
+      <div className="section-label" style={{ marginTop: 12 }}>➕ NEW CUSTOMER</div>
+      <input className="field" placeholder="Shop / party name" value={form.name} onChange={e => setForm(f => ({ ...f, name: e.target.value }))} />
+      <input className="field" placeholder="Address or paste Google Maps link" value={form.address} onChange={e => setForm(f => ({ ...f, address: e.target.value }))} />
+      <input className="field" placeholder="Phone (optional)" value={form.phone} onChange={e => setForm(f => ({ ...f, phone: e.target.value }))} />
+      <div className="row">
+        <select className="field" value={form.frequency} onChange={e => setForm(f => ({ ...f, frequency: e.target.value }))}>
+          {Object.entries(FREQUENCIES).map(([k, f]) => <option key={k} value={k}>{f.label}</option>)}
+        </select>
+        <input className="field" type="date" title="Last visit" value={form.lastVisited} onChange={e => setForm(f => ({ ...f, lastVisited: e.target.value }))} />
+      </div>
+      <WeekdayPicker value={form.weekdays} onChange={weekdays => setForm(f => ({ ...f, weekdays }))} />
+      <button className="btn-add" onClick={submit} disabled={busy || !form.name.trim() || !form.address.trim()}>Save Customer</button>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import { fmtTime, fmtClock, fmtDist } from "../format.js";
+
+// ============================================================
+// DIRECTIONS PANEL
+// ============================================================
+// One card per leg with its arrival ETA; the active leg is expanded to its
+// turn-by-turn steps and highlighted on the map. Tapping a leg makes it active.
+export default function DirectionsPanel({ legs, stops, active, onSelect }) {
+  const stopOf = (id) => stops.find(s => s.id === id);
+  const nameOf = (id) => id === "__here__" ? "Your position" : stopOf(id)?.name || "Stop";
+
+  return (
+    <div className="dir-list">
+      {legs.map((leg, i) => {
+        const to = stopOf(leg.to);
+        return (
+          <div key={`${leg.from}-${leg.to}-${i}`} className={`dir-leg ${i === active ? "on" : ""} ${to?.visited ? "done" : ""}`}>
+            <button className="dir-head" onClick={() => onSelect(i)}>
+              <span className="dir-no">{i + 1}</span>
+              <span className="dir-to">
+                <b>{nameOf(leg.from)} → {nameOf(leg.to)}</b>
+                <span>{fmtDist(leg.distance)} · {fmtTime(leg.duration)}{to?.eta != null ? ` · ETA ${fmtClock(to.eta)}` : ""}</span>
+              </span>
+            </button>
+            {i === active && (
+              <ol className="dir-steps">
+                {leg.steps.map((s, k) => (
+                  <li key={k}>
+                    <span className="dir-icon">{s.icon}</span>
+                    <span className="dir-text">{s.text}</span>
+                    {s.distance > 0 && <span className="dir-dist">{s.distance < 1000 ? `${Math.round(s.distance / 10) * 10} m` : fmtDist(s.distance)}</span>}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
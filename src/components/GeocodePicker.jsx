@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef } from "react";
+import L from "leaflet";
+import { CONFIDENCE } from "../providers.js";
+import { activeRegion } from "../regions.js";
+
+// ============================================================
+// GEOCODE PICKER
+// ============================================================
+// Lists the geocoder's candidates for an address on a mini-map. Choosing a
+// candidate moves the pin there; dragging the pin fine-tunes it (e.g. to the
+// shop entrance) and makes the confidence "manual". With no match at all the
+// pin can be dropped by tapping the map.
+export default function GeocodePicker({ title, query: initialQuery, candidates: initialCandidates, error: initialError, current, onSearch, onPick, onClose }) {
+  const [query, setQuery] = useState(initialQuery);
+  const [candidates, setCandidates] = useState(initialCandidates);
+  const [point, setPoint] = useState(() => current || initialCandidates[0] || null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(initialError || "");
+  const mapEl = useRef(null);
+  const map = useRef(null);
+  const pin = useRef(null);
+  const dots = useRef([]);
+
+  const search = async () => {
+    if (!query.trim()) return;
+    setSearching(true);
+    try {
+      const found = await onSearch(query.trim());
+      setCandidates(found); setError("");
+      setPoint(found[0]);
+    } catch (e) { setCandidates([]); setError(e.message); }
+    finally { setSearching(false); }
+  };
+
+  useEffect(() => {
+    const { center, zoom } = activeRegion();
+    map.current = L.map(mapEl.current, { zoomControl: false, attributionControl: false }).setView(center, zoom);
+    L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", { maxZoom: 19 }).addTo(map.current);
+    map.current.on("click", e => setPoint(p => p || { lat: e.latlng.lat, lng: e.latlng.lng, display: "", confidence: "manual" }));
+    return () => { map.current.remove(); map.current = null; pin.current = null; };
+  }, []);
+
+  // Candidates as small dots; tapping one selects it
+  useEffect(() => {
+    dots.current.forEach(d => d.remove());
+    dots.current = candidates.map(c => L.circleMarker([c.lat, c.lng], { radius: 7, color: "#60a5fa", weight: 2, fillOpacity: 0.4 })
+      .on("click", () => setPoint(c)).addTo(map.current));
+    const pts = [...candidates, ...(current ? [current] : [])].map(c => [c.lat, c.lng]);
+    if (pts.length > 1) map.current.fitBounds(pts, { padding: [30, 30], maxZoom: 17 });
+    else if (pts.length) map.current.setView(pts[0], 17);
+  }, [candidates, current]);
+
+  useEffect(() => {
+    if (!point) return;
+    if (!pin.current) {
+      pin.current = L.marker([point.lat, point.lng], { draggable: true }).addTo(map.current);
+      pin.current.on("dragend", () => {
+        const { lat, lng } = pin.current.getLatLng();
+        setPoint(p => ({ ...p, lat, lng, confidence: "manual" }));
+      });
+    } else pin.current.setLatLng([point.lat, point.lng]);
+  }, [point]);
+
+  const same = (a, b) => a && b && a.lat === b.lat && a.lng === b.lng;
+
+  return (
+    <div className="sheet-backdrop" onClick={onClose}>
+      <div className="sheet" onClick={e => e.stopPropagation()}>
+        <div className="sheet-head">
+          <div className="loc-info">
+            <div className="loc-name">{title}</div>
+            <div className="loc-addr">Pick a match, then drag the pin onto the entrance if needed</div>
+          </div>
+          <button className="icon-btn" onClick={onClose}>✕</button>
+        </div>
+        <div className="row">
+          <input className="field" value={query} onChange={e => setQuery(e.target.value)} onKeyDown={e => e.key === "Enter" && search()} />
+          <button className="btn-bulk-toggle" onClick={search} disabled={searching}>{searching ? "..." : "Search"}</button>
+        </div>
+        <div className="picker-map" ref={mapEl} />
+        {error && <div className="loc-eta late">✗ {error} · edit the address or tap the map</div>}
+        <div className="picker-list">
+          {candidates.map((c, i) => (
+            <button key={i} className={`picker-row ${same(c, point) ? "on" : ""}`} onClick={() => setPoint(c)}>
+              <span className={`conf conf-${c.confidence}`} title={CONFIDENCE[c.confidence].label}>{CONFIDENCE[c.confidence].icon}</span>
+              <span className="picker-text">{c.display}</span>
+            </button>
+          ))}
+        </div>
+        {point && (
+          <div className="check-row" style={{ fontSize: 10 }}>
+            {CONFIDENCE[point.confidence].icon} {CONFIDENCE[point.confidence].label} · {point.lat.toFixed(5)}, {point.lng.toFixed(5)}
+          </div>
+        )}
+        <button className="btn-add" disabled={!point} onClick={() => onPick(point, query.trim())}>✓ Use this location</button>
+      </div>
+    </div>
+  );
+}
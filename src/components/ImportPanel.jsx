@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { IMPORT_ACCEPT, IMPORT_FIELDS, readImportFile, guessMapping, recordsFromTable } from "../importers.js";
+
+const hasPoint = (r) => r.lat != null && r.lng != null;
+
+// ============================================================
+// IMPORT PANEL
+// ============================================================
+// File → (column mapping for tables) → preview with geocode status → add.
+// Rows that fail to geocode stay behind with an editable address so they can
+// be fixed and retried after the good rows have been added.
+export default function ImportPanel({ onResolve, onAdd, onStatus }) {
+  const [fileName, setFileName] = useState("");
+  const [table, setTable] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [working, setWorking] = useState(false);
+
+  const toPreview = (records) => setRows(records.map(r => ({ ...r, key: crypto.randomUUID(), status: hasPoint(r) ? "ok" : "pending", error: "" })));
+
+  const pickFile = async (file) => {
+    if (!file) return;
+    setFileName(file.name); setTable(null); setRows([]);
+    try {
+      const result = await readImportFile(file);
+      if (result.kind === "table") {
+        if (!result.rows.length) throw new Error("No rows found");
+        setTable(result); setMapping(guessMapping(result.headers));
+      } else {
+        if (!result.records.length) throw new Error("No placemarks or waypoints found");
+        toPreview(result.records);
+      }
+      onStatus(`Loaded ${file.name}`);
+    } catch (e) { onStatus(`✗ ${e.message}`); }
+  };
+
+  const applyMapping = () => {
+    if (mapping.address == null && (mapping.lat == null || mapping.lng == null)) { onStatus("✗ Map an address column or both lat and lng"); return; }
+    toPreview(recordsFromTable(table.rows, mapping));
+  };
+
+  const editRow = (key, patch) => setRows(rs => rs.map(r => r.key === key ? { ...r, ...patch } : r));
+
+  const geocodeRows = async (only) => {
+    const todo = rows.filter(r => r.status !== "ok" && (!only || r.key === only));
+    setWorking(true);
+    for (let i = 0; i < todo.length; i++) {
+      const r = todo[i];
+      onStatus(`Geocoding ${i + 1}/${todo.length}...`);
+      if (!r.address.trim()) { editRow(r.key, { status: "failed", error: "No address" }); continue; }
+      try {
+        const { lat, lng } = await onResolve(r.address.trim());
+        editRow(r.key, { lat, lng, status: "ok", error: "" });
+      } catch (e) { editRow(r.key, { status: "failed", error: e.message }); }
+    }
+    setWorking(false);
+    onStatus(`Geocoded ${todo.length} row${todo.length === 1 ? "" : "s"}`);
+  };
+
+  const addReady = () => {
+    const ready = rows.filter(r => r.status === "ok");
+    onAdd(ready.map(r => ({ name: r.name, address: r.address, lat: r.lat, lng: r.lng, phone: r.phone, notes: r.notes })));
+    setRows(rs => rs.filter(r => r.status !== "ok"));
+  };
+
+  const ready = rows.filter(r => r.status === "ok").length;
+  const pending = rows.length - ready;
+
+  return (
+    <div className="import-box">
+      <label className="btn-bulk-toggle import-pick">
+        📂 {fileName || "Choose CSV, XLSX, KML, KMZ or GPX"}
+        <input type="file" accept={IMPORT_ACCEPT} hidden onChange={e => { pickFile(e.target.files[0]); e.target.value = ""; }} />
+      </label>
+
+      {table && (
+        <>
+          <div className="section-label">COLUMNS ({table.rows.length} rows)</div>
+          <div className="import-mapping">
+            {IMPORT_FIELDS.map(field => (
+              <label key={field} className="provider-num"><span>{field}</span>
+                <select className="field" value={mapping[field] ?? ""} onChange={e => setMapping(m => ({ ...m, [field]: e.target.value === "" ? null : Number(e.target.value) }))}>
+                  <option value="">—</option>
+                  {table.headers.map((h, i) => <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+          <button className="btn-bulk-toggle" onClick={applyMapping}>Preview rows</button>
+        </>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <div className="import-table">
+            {rows.map(r => (
+              <div key={r.key} className={`import-row ${r.status}`}>
+                <span className="import-status">{r.status === "ok" ? "✓" : r.status === "failed" ? "✗" : "…"}</span>
+                <div className="loc-info">
+                  <div className="loc-name">{r.name || r.address.split(",")[0] || "Shop"}</div>
+                  {r.status === "failed" ? (
+                    <div className="row">
+                      <input className="field" value={r.address} title={r.error} onChange={e => editRow(r.key, { address: e.target.value })} />
+                      <button className="icon-btn" title="Retry" disabled={working} onClick={() => geocodeRows(r.key)}>↻</button>
+                    </div>
+                  ) : (
+                    <div className="loc-addr">{hasPoint(r) ? `${r.lat.toFixed(5)}, ${r.lng.toFixed(5)}` : ""} {r.address}</div>
+                  )}
+                  {r.error && <div className="loc-eta late">{r.error}</div>}
+                </div>
+                <button className="icon-btn del" onClick={() => setRows(rs => rs.filter(x => x.key !== r.key))}>×</button>
+              </div>
+            ))}
+          </div>
+          <div className="row">
+            {pending > 0 && (
+              <button className="btn-bulk-toggle" onClick={() => geocodeRows()} disabled={working}>
+                {working ? "Geocoding..." : `Geocode ${pending}`}
+              </button>
+            )}
+            <button className="btn-add" onClick={addReady} disabled={working || !ready}>Add {ready} Stops</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { useState } from "react";
+import { activeRegion, parseViewbox, viewboxCenter, zoomFor } from "../regions.js";
+import { lookupArea } from "../providers.js";
+
+const EMPTY_FORM = { name: "", suffix: "", countrycodes: "", viewbox: "", bounded: false, center: null };
+
+// ============================================================
+// REGION SETTINGS
+// ============================================================
+// Switches between saved regions and adds new ones. "Look up" fills the box,
+// centre and country from the place name; the box can also be typed in.
+export default function RegionPanel({ regionCfg, onChange, onStatus }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+  const active = activeRegion(regionCfg);
+  const set = (patch) => setForm(f => ({ ...f, ...patch }));
+
+  const lookup = async () => {
+    const place = form.suffix.trim() || form.name.trim();
+    if (!place) return;
+    setBusy(true);
+    try {
+      const area = await lookupArea(place);
+      set({ suffix: form.suffix.trim() || area.display, countrycodes: area.countrycodes, viewbox: area.viewbox.map(v => v.toFixed(4)).join(","), center: area.center });
+      onStatus(`✓ Found ${area.display}`);
+    } catch (e) { onStatus(`✗ ${e.message}`); }
+    finally { setBusy(false); }
+  };
+
+  const save = () => {
+    const viewbox = form.viewbox.trim() ? parseViewbox(form.viewbox) : null;
+    if (form.viewbox.trim() && !viewbox) { onStatus("✗ Box must be west,south,east,north"); return; }
+    const center = form.center || (viewbox && viewboxCenter(viewbox));
+    if (!center) { onStatus("✗ Look up the place or enter a box first"); return; }
+    const region = {
+      id: crypto.randomUUID(), name: form.name.trim() || form.suffix.split(",")[0], suffix: form.suffix.trim(),
+      countrycodes: form.countrycodes.trim().toLowerCase(), viewbox, bounded: form.bounded && !!viewbox, center, zoom: viewbox ? zoomFor(viewbox) : 12,
+    };
+    onChange({ active: region.id, regions: [...regionCfg.regions, region] });
+    setForm(EMPTY_FORM);
+    onStatus(`✓ Region ${region.name} saved and active`);
+  };
+
+  const remove = (id) => {
+    const regions = regionCfg.regions.filter(r => r.id !== id);
+    onChange({ active: regionCfg.active === id ? regions[0]?.id : regionCfg.active, regions });
+  };
+
+  return (
+    <>
+      {regionCfg.regions.map(r => (
+        <div key={r.id} className={`rep-card ${r.id === active.id ? "on" : ""}`} style={{ "--rep": "#f97316" }}>
+          <button className="rep-card-main" onClick={() => onChange({ ...regionCfg, active: r.id })}>
+            <span className="rep-dot" style={{ opacity: r.id === active.id ? 1 : 0.25 }} />
+            <span className="rep-name">{r.name}</span>
+            <span className="rep-stat">{[r.suffix, r.countrycodes && r.countrycodes.toUpperCase(), r.bounded && "strict"].filter(Boolean).join(" · ")}</span>
+          </button>
+          {regionCfg.regions.length > 1 && <button className="icon-btn del" onClick={() => remove(r.id)}>×</button>}
+        </div>
+      ))}
+      <div className="provider-box">
+        <div className="provider-title">New region</div>
+        <input className="field" placeholder="Name (e.g. Vadodara)" value={form.name} onChange={e => set({ name: e.target.value })} />
+        <div className="row">
+          <input className="field" placeholder="City / area appended to addresses" value={form.suffix} onChange={e => set({ suffix: e.target.value, center: null })} />
+          <button className="btn-bulk-toggle" onClick={lookup} disabled={busy || !(form.suffix.trim() || form.name.trim())}>{busy ? "..." : "🔍 Look up"}</button>
+        </div>
+        <div className="row">
+          <input className="field" style={{ width: 70, flex: "none" }} placeholder="in" value={form.countrycodes} onChange={e => set({ countrycodes: e.target.value })} title="Country codes, comma separated" />
+          <input className="field" placeholder="Box: west,south,east,north" value={form.viewbox} onChange={e => set({ viewbox: e.target.value })} />
+        </div>
+        <label className="check-row">
+          <input type="checkbox" checked={form.bounded} onChange={e => set({ bounded: e.target.checked })} />
+          Only accept matches inside the box
+        </label>
+        <button className="btn-add" onClick={save} disabled={!form.name.trim() && !form.suffix.trim()}>Save Region</button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,109 @@
+import { useState, useMemo } from "react";
+import { buildReport, reportCSV, completion } from "../reports.js";
+import { OUTCOMES } from "../visits.js";
+import { downloadFile } from "../exporters.js";
+import { addDays, startOfWeek, todayISO, fmtDate, fmtWeek } from "../dates.js";
+import { fmtTime, fmtMoney } from "../format.js";
+
+const pct = (t) => `${Math.round(completion(t) * 100)}%`;
+
+const RANGES = [
+  ["This week", () => [startOfWeek(todayISO()), addDays(startOfWeek(todayISO()), 6)]],
+  ["4 weeks", () => [addDays(startOfWeek(todayISO()), -21), todayISO()]],
+  ["90 days", () => [addDays(todayISO(), -89), todayISO()]],
+  ["All", () => ["", ""]],
+];
+
+// ============================================================
+// REPORTS PANEL
+// ============================================================
+export default function ReportsPanel({ days }) {
+  const [[from, to], setRange] = useState(RANGES[1][1]);
+  const report = useMemo(() => buildReport(days, { from, to }), [days, from, to]);
+  const { totals, perWeek, perDay, perRep, skipped } = report;
+  const maxWeek = Math.max(1, ...perWeek.map(w => w.planned));
+
+  const exportCSV = () => downloadFile(`report-${from || "start"}-${to || "end"}.csv`, reportCSV(report), "text/csv");
+
+  return (
+    <div className="add-form">
+      <div className="row">
+        <input className="field" type="date" value={from} onChange={e => setRange([e.target.value, to])} />
+        <input className="field" type="date" value={to} onChange={e => setRange([from, e.target.value])} />
+      </div>
+      <div className="row">
+        {RANGES.map(([label, range]) => <button key={label} className="export-btn" onClick={() => setRange(range())}>{label}</button>)}
+        <button className="export-btn" style={{ marginLeft: "auto" }} onClick={exportCSV} disabled={!perDay.length}>⬇ CSV</button>
+      </div>
+
+      {!perDay.length ? (
+        <div className="empty"><div className="empty-text">No planned days in this range.</div></div>
+      ) : (
+        <>
+          <div className="report-grid">
+            <div className="report-stat"><b>{totals.days}</b><span>Days</span></div>
+            <div className="report-stat"><b>{totals.visited}/{totals.planned}</b><span>Visited</span></div>
+            <div className="report-stat"><b>{pct(totals)}</b><span>Completion</span></div>
+            <div className="report-stat"><b>{totals.km.toFixed(0)}</b><span>Km</span></div>
+            <div className="report-stat"><b>{fmtTime(totals.driveSec)}</b><span>Drive</span></div>
+            <div className="report-stat"><b>{fmtMoney(totals.orderValue) || "₹0"}</b><span>Orders</span></div>
+          </div>
+
+          <div className="section-label">OUTCOMES</div>
+          <div className="report-outcomes">
+            {Object.entries(OUTCOMES).map(([k, o]) => <span key={k}>{o.icon} {o.label} <b>{totals.outcomes[k]}</b></span>)}
+            {totals.missed > 0 && <span className="late">✗ Missed <b>{totals.missed}</b></span>}
+          </div>
+
+          <div className="section-label">BY WEEK · planned vs visited</div>
+          {perWeek.map(w => (
+            <div key={w.week} className="report-bar-row">
+              <span className="plan-date">{fmtWeek(w.week)}</span>
+              <div className="report-bar" title={`${w.visited}/${w.planned} visited`}>
+                <div className="report-bar-planned" style={{ width: `${(w.planned / maxWeek) * 100}%` }}>
+                  <div className="report-bar-visited" style={{ width: `${completion(w) * 100}%` }} />
+                </div>
+              </div>
+              <span className="plan-drive">{pct(w)} · {w.km.toFixed(0)} km · {fmtTime(w.driveSec)}</span>
+            </div>
+          ))}
+
+          {perRep.length > 1 && (
+            <>
+              <div className="section-label">BY REP</div>
+              {perRep.map(r => (
+                <div key={r.repId} className="plan-row">
+                  <span className="plan-date"><span className="rep-dot" style={{ "--rep": r.color || "#6b7280", display: "inline-block", marginRight: 6 }} />{r.name}</span>
+                  <span className="plan-count">{r.visited}/{r.planned} · {pct(r)}</span>
+                  <span className="plan-names">{r.km.toFixed(0)} km · {fmtTime(r.driveSec)} · {fmtMoney(r.orderValue) || "₹0"}</span>
+                </div>
+              ))}
+            </>
+          )}
+
+          <div className="section-label">BY DAY</div>
+          {perDay.map(d => (
+            <div key={d.date} className="plan-row">
+              <span className="plan-date">{fmtDate(d.date)}</span>
+              <span className="plan-count">{d.visited}/{d.planned}</span>
+              <span className="plan-drive">{d.km.toFixed(1)} km · {fmtTime(d.driveSec)}</span>
+              <span className="plan-names">{d.orderValue ? fmtMoney(d.orderValue) : ""}</span>
+            </div>
+          ))}
+
+          {skipped.length > 0 && (
+            <>
+              <div className="section-label">OFTEN SKIPPED</div>
+              {skipped.map(s => (
+                <div key={`${s.name}|${s.address}`} className="plan-row skipped">
+                  <span className="plan-names" style={{ color: "inherit" }}>{s.name}</span>
+                  <span className="plan-count">missed {s.missed}/{s.planned}{s.missed === s.planned ? " · always" : ""}</span>
+                </div>
+              ))}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState, useEffect } from "react";
+import { getRecord, PHOTO_STORE } from "../db.js";
+import { OUTCOMES, EMPTY_VISIT, savePhoto, deletePhotos } from "../visits.js";
+import { fmtClock } from "../format.js";
+
+const clockOf = (iso) => iso ? new Date(iso).toLocaleTimeString("en-IN", { hour: "2-digit", minute: "2-digit" }) : "—";
+
+function Photo({ id, onRemove }) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    let live = true, objectUrl = null;
+    getRecord(PHOTO_STORE, id).then(rec => {
+      // Closed before the read finished: no URL to create, so none to leak
+      if (!live || !rec) return;
+      objectUrl = URL.createObjectURL(rec.blob);
+      setUrl(objectUrl);
+    }).catch(e => console.error("✗ Photo load failed", e));
+    return () => { live = false; if (objectUrl) URL.revokeObjectURL(objectUrl); };
+  }, [id]);
+  return (
+    <div className="visit-photo">
+      {url ? <a href={url} target="_blank" rel="noopener noreferrer"><img src={url} alt="" /></a> : <span>…</span>}
+      <button className="icon-btn del" onClick={() => onRemove(id)}>×</button>
+    </div>
+  );
+}
+
+// ============================================================
+// VISIT SHEET
+// ============================================================
+// Edits a copy of loc.visit. Photos are written to IndexedDB as soon as they
+// are taken; on cancel the new ones are deleted again. Saved photos that get
+// removed stay in the store: the undo history deletes them once no step can
+// bring the visit back.
+export default function VisitSheet({ loc, date, onSave, onClose }) {
+  const [visit, setVisit] = useState(() => ({ ...EMPTY_VISIT, ...loc.visit }));
+  const [added, setAdded] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const set = (patch) => setVisit(v => ({ ...v, ...patch }));
+  const now = () => new Date().toISOString();
+
+  const addPhoto = async (file) => {
+    if (!file) return;
+    setSaving(true); setError("");
+    try {
+      const id = await savePhoto(file, { date, locationId: loc.id });
+      setAdded(a => [...a, id]);
+      setVisit(v => ({ ...v, photoIds: [...v.photoIds, id] }));
+    } catch (e) { setError(e.message); }
+    finally { setSaving(false); }
+  };
+  const discard = (ids) => deletePhotos(ids).catch(e => console.error("✗ Photo delete failed", e));
+  const removePhoto = (id) => {
+    setVisit(v => ({ ...v, photoIds: v.photoIds.filter(p => p !== id) }));
+    if (added.includes(id)) { setAdded(a => a.filter(p => p !== id)); discard([id]); }
+  };
+
+  const cancel = () => { discard(added); onClose(); };
+  const save = () => {
+    // Recording an outcome completes the visit; check out now if it was never done
+    const done = { ...visit, orderValue: visit.outcome === "order" ? visit.orderValue : null };
+    if (done.outcome && done.checkIn && !done.checkOut) done.checkOut = now();
+    onSave(done, loc.visited || !!done.outcome);
+  };
+
+  return (
+    <div className="sheet-backdrop" onClick={cancel}>
+      <div className="sheet" onClick={e => e.stopPropagation()}>
+        <div className="sheet-head">
+          <div className="loc-info">
+            <div className="loc-name">{loc.name}</div>
+            <div className="loc-addr">{loc.address}</div>
+            {loc.eta != null && <div className="loc-eta">ETA {fmtClock(loc.eta)}</div>}
+          </div>
+          <button className="icon-btn" onClick={cancel}>✕</button>
+        </div>
+
+        <div className="row">
+          <button className="btn-bulk-toggle visit-clock" onClick={() => set({ checkIn: now(), checkOut: null })}>
+            ⏱ In {clockOf(visit.checkIn)}
+          </button>
+          <button className="btn-bulk-toggle visit-clock" onClick={() => set({ checkOut: now() })} disabled={!visit.checkIn}>
+            ⏹ Out {clockOf(visit.checkOut)}
+          </button>
+        </div>
+
+        <div className="section-label">OUTCOME</div>
+        <div className="visit-outcomes">
+          {Object.entries(OUTCOMES).map(([key, o]) => (
+            <button key={key} className={`visit-outcome ${visit.outcome === key ? "on" : ""}`}
+              onClick={() => set({ outcome: visit.outcome === key ? null : key })}>{o.icon} {o.label}</button>
+          ))}
+        </div>
+        {visit.outcome === "order" && (
+          <input className="field" type="number" min="0" step="any" inputMode="decimal" placeholder="Order value ₹"
+            value={visit.orderValue ?? ""} onChange={e => set({ orderValue: e.target.value === "" ? null : Number(e.target.value) })} />
+        )}
+        <textarea className="field" placeholder="Notes" value={visit.notes} onChange={e => set({ notes: e.target.value })} />
+
+        <div className="visit-photos">
+          {visit.photoIds.map(id => <Photo key={id} id={id} onRemove={removePhoto} />)}
+          <label className="visit-photo add">
+            📷
+            <input type="file" accept="image/*" capture="environment" hidden onChange={e => { addPhoto(e.target.files[0]); e.target.value = ""; }} />
+          </label>
+        </div>
+        {error && <div className="loc-eta late">✗ {error}</div>}
+
+        <button className="btn-add" onClick={save} disabled={saving}>{saving ? "Saving photo..." : "Save Visit"}</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+// ============================================================
+// DATES
+// ============================================================
+// Plans are keyed by local calendar date ("YYYY-MM-DD"). Everything here works
+// in local time so a plan never shifts a day because of the UTC offset.
+const pad = (n) => String(n).padStart(2, "0");
+
+export const toISODate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+export function parseISODate(s) {
+  const [y, m, d] = s.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export const todayISO = () => toISODate(new Date());
+
+export function addDays(s, n) {
+  const d = parseISODate(s);
+  d.setDate(d.getDate() + n);
+  return toISODate(d);
+}
+
+// Weeks start on Monday
+export function startOfWeek(s) {
+  const d = parseISODate(s);
+  return addDays(s, -((d.getDay() + 6) % 7));
+}
+
+export const weekDates = (s) => Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(s), i));
+
+export const weekdayOf = (s) => parseISODate(s).getDay();
+
+// Working days default to Monday–Saturday (getDay numbering, Sunday = 0)
+export function nextWorkingDay(s, weekdays = [1, 2, 3, 4, 5, 6]) {
+  let d = addDays(s, 1);
+  for (let i = 0; i < 7 && !weekdays.includes(weekdayOf(d)); i++) d = addDays(d, 1);
+  return d;
+}
+
+export const fmtDay = (s) => parseISODate(s).toLocaleDateString("en-IN", { weekday: "short", day: "numeric" });
+
+export const fmtDate = (s) => parseISODate(s).toLocaleDateString("en-IN", { weekday: "short", day: "numeric", month: "short" });
+
+export function fmtWeek(s) {
+  const [first, last] = [startOfWeek(s), addDays(startOfWeek(s), 6)].map(parseISODate);
+  const opts = { day: "numeric", month: "short" };
+  return `${first.toLocaleDateString("en-IN", opts)} – ${last.toLocaleDateString("en-IN", opts)}`;
+}
@@ -0,0 +1,77 @@
+// ============================================================
+// DAY PLAN
+// ============================================================
+// Working hours, the default time spent at a stop and the lunch break, and
+// the timeline they give an ordered route. Times are "HH:MM"; the timeline
+// works in seconds since midnight like the solver's schedule.
+import { parseClock } from "./solver.js";
+
+export const DEFAULT_DAYPLAN = { shiftStart: "09:00", shiftEnd: "18:00", serviceMin: 10, lunchFrom: "13:00", lunchTo: "14:30", lunchMin: 30 };
+
+export function loadDayPlan() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("frp_dayplan") || "null");
+    if (saved) return { ...DEFAULT_DAYPLAN, ...saved };
+  } catch { /* use defaults */ }
+  // Before day plans there was only a departure time
+  return { ...DEFAULT_DAYPLAN, shiftStart: localStorage.getItem("frp_depart") || DEFAULT_DAYPLAN.shiftStart };
+}
+export function saveDayPlan(plan) {
+  localStorage.setItem("frp_dayplan", JSON.stringify(plan));
+  return plan;
+}
+
+/**
+ * Walks `seq` from departAt like scheduleRoute, adding the lunch break: it is
+ * taken on leaving the first stop finished between lunchFrom and lunchTo.
+ * A day that only leaves a stop after lunchTo gets no break. Returns
+ * { stops: [{ arrival, start, depart, late }], lunch: { after, start, end } | null,
+ *   end, overflow } where lunch.after is a position in seq and overflow is
+ * how far the day runs past the shift end.
+ */
+export function buildTimeline(seq, matrix, windows, plan, departAt) {
+  const lunchFrom = parseClock(plan.lunchFrom), lunchTo = parseClock(plan.lunchTo), lunchLen = (Number(plan.lunchMin) || 0) * 60;
+  const shiftEnd = parseClock(plan.shiftEnd);
+  let t = departAt, lunch = null;
+  const stops = seq.map((idx, pos) => {
+    if (pos > 0) {
+      // Past lunchTo (e.g. re-routing mid-afternoon) lunch is assumed to have been had
+      if (!lunch && lunchLen && lunchFrom != null && t >= lunchFrom && (lunchTo == null || t < lunchTo)) {
+        lunch = { after: pos - 1, start: t, end: t + lunchLen };
+        t = lunch.end;
+      }
+      t += matrix[seq[pos - 1]][idx];
+    }
+    const w = windows[idx] || {};
+    const arrival = t;
+    if (w.open != null && t < w.open) t = w.open;
+    const late = w.close != null && t > w.close;
+    const start = t;
+    t += w.service || 0;
+    return { arrival, start, depart: t, late };
+  });
+  return { stops, lunch, end: t, overflow: shiftEnd != null ? Math.max(0, t - shiftEnd) : 0 };
+}
+
+/**
+ * Stops to move to another day until the timeline fits the shift, taking
+ * first the stop whose removal saves the most time (detour plus service).
+ * `movable(idx)` rules out the start/end points and stops that must stay.
+ */
+export function suggestDeferrals(seq, matrix, windows, plan, departAt, movable) {
+  const cur = [...seq], out = [];
+  while (buildTimeline(cur, matrix, windows, plan, departAt).overflow > 0) {
+    let best = -1, bestSave = -Infinity;
+    cur.forEach((idx, pos) => {
+      if (!movable(idx)) return;
+      const prev = cur[pos - 1], next = cur[pos + 1];
+      const save = (prev != null ? matrix[prev][idx] : 0) + (next != null ? matrix[idx][next] : 0)
+        - (prev != null && next != null ? matrix[prev][next] : 0) + (windows[idx]?.service || 0);
+      if (save > bestSave) { best = pos; bestSave = save; }
+    });
+    if (best < 0) break;
+    out.push(cur[best]);
+    cur.splice(best, 1);
+  }
+  return out;
+}
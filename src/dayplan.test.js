@@ -0,0 +1,43 @@
+import { describe, it, expect } from "vitest";
+import { buildTimeline, suggestDeferrals, DEFAULT_DAYPLAN } from "./dayplan.js";
+
+const H = 3600;
+// Four points on a line, an hour's drive apart
+const matrix = [0, 1, 2, 3].map(a => [0, 1, 2, 3].map(b => Math.abs(a - b) * H));
+const windows = [{}, {}, {}, {}];
+const plan = { ...DEFAULT_DAYPLAN, shiftEnd: "18:00", lunchFrom: "13:00", lunchTo: "14:30", lunchMin: 30 };
+
+describe("buildTimeline", () => {
+  it("takes lunch on leaving the first stop inside the lunch window", () => {
+    const { lunch, stops } = buildTimeline([0, 1, 2, 3], matrix, windows, plan, 12 * H);
+    expect(lunch).toEqual({ after: 1, start: 13 * H, end: 13.5 * H });
+    expect(stops[2].arrival).toBe(14.5 * H);
+  });
+
+  it("skips lunch when every stop is left after the lunch window", () => {
+    const { lunch, stops, end } = buildTimeline([0, 1, 2, 3], matrix, windows, plan, 15 * H);
+    expect(lunch).toBeNull();
+    expect(stops[3].arrival).toBe(18 * H);
+    expect(end).toBe(18 * H);
+  });
+
+  it("adds no lunch at a later stop once the window has passed", () => {
+    // Long service at stop 1 carries the day from before lunch to 17:00
+    const long = [{}, { service: 7 * H }, {}, {}];
+    const { lunch, overflow } = buildTimeline([0, 1, 2, 3], matrix, long, plan, 9 * H);
+    expect(lunch).toBeNull();
+    expect(overflow).toBe(1 * H);
+  });
+
+  it("reports how far the day runs past the shift end", () => {
+    expect(buildTimeline([0, 1, 2, 3], matrix, windows, plan, 16 * H).overflow).toBe(1 * H);
+  });
+});
+
+describe("suggestDeferrals", () => {
+  it("moves stops off the day until it fits the shift, never the fixed ones", () => {
+    const out = suggestDeferrals([0, 1, 2, 3], matrix, windows, plan, 16 * H, idx => idx !== 0);
+    expect(out).toEqual([3]);
+    expect(suggestDeferrals([0, 1, 2, 3], matrix, windows, plan, 12 * H, idx => idx !== 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,160 @@
+// ============================================================
+// INDEXEDDB
+// ============================================================
+import { addDays, startOfWeek, todayISO } from "./dates.js";
+
+const DB_NAME = "FieldRoutePlannerDB";
+const DB_VERSION = 6;
+const STORE_NAME = "days";
+export const GEOCODE_STORE = "geocodes";
+export const DURATION_STORE = "durations";
+export const CUSTOMER_STORE = "customers";
+export const PHOTO_STORE = "photos";
+export const HISTORY_STORE = "history";
+
+let dbPromise = null;
+
+export function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = e.target.result;
+      // v3: day plans keyed by calendar date (v1/v2 used slot numbers 1–12, see migrateDaySlots)
+      if (e.oldVersion >= 1 && e.oldVersion < 3) migrateDaySlots(db, e.target.transaction);
+      else if (!db.objectStoreNames.contains(STORE_NAME))
+        db.createObjectStore(STORE_NAME, { keyPath: "date" });
+      // v2: geocode results by normalized address, OSRM durations by coordinate pair
+      if (e.oldVersion < 2) {
+        if (!db.objectStoreNames.contains(GEOCODE_STORE)) db.createObjectStore(GEOCODE_STORE, { keyPath: "key" });
+        if (!db.objectStoreNames.contains(DURATION_STORE)) db.createObjectStore(DURATION_STORE, { keyPath: "key" });
+      }
+      // v4: customer master list
+      if (!db.objectStoreNames.contains(CUSTOMER_STORE))
+        db.createObjectStore(CUSTOMER_STORE, { keyPath: "id" });
+      // v5: visit photos as blobs, referenced from location.visit.photoIds
+      if (!db.objectStoreNames.contains(PHOTO_STORE))
+        db.createObjectStore(PHOTO_STORE, { keyPath: "id" });
+      // v6: undo/redo snapshots per day
+      if (!db.objectStoreNames.contains(HISTORY_STORE))
+        db.createObjectStore(HISTORY_STORE, { keyPath: "date" });
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Let a newer tab upgrade the schema instead of blocking on this connection
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+// The old planner had 12 slots: W1 Day 1–6 and W2 Day 1–6 (slots 7–12), Monday
+// to Saturday. They map onto the current week and the week after, so the plans
+// a rep was looking at keep their weekday.
+function migrateDaySlots(db, tx) {
+  const req = tx.objectStore(STORE_NAME).getAll();
+  req.onsuccess = () => {
+    const monday = startOfWeek(todayISO());
+    db.deleteObjectStore(STORE_NAME);
+    const store = db.createObjectStore(STORE_NAME, { keyPath: "date" });
+    req.result.forEach(({ day, ...rest }) => {
+      const slot = Number(day);
+      if (!(slot >= 1 && slot <= 12) || !rest.locations?.length) return;
+      // slot 1 → Monday; slot 7 → Monday + 7 (W2 skips Sunday)
+      const date = addDays(monday, slot <= 6 ? slot - 1 : slot);
+      store.put({ ...rest, date, legacyDay: slot });
+    });
+  };
+}
+
+export async function saveDay(data) {
+  const db = await openDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(STORE_NAME, "readwrite");
+    tx.objectStore(STORE_NAME).put(data);
+    tx.oncomplete = res;
+    tx.onerror = () => rej(tx.error);
+  });
+}
+export async function loadAllDays() {
+  const db = await openDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(STORE_NAME, "readonly");
+    const req = tx.objectStore(STORE_NAME).getAll();
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+  });
+}
+
+// ============================================================
+// RECORD STORES
+// ============================================================
+export async function putRecord(store, record) {
+  const db = await openDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(store, "readwrite");
+    tx.objectStore(store).put(record);
+    tx.oncomplete = res;
+    tx.onerror = () => rej(tx.error);
+  });
+}
+export async function getRecord(store, key) {
+  const db = await openDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(store, "readonly");
+    const req = tx.objectStore(store).get(key);
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+  });
+}
+export async function deleteRecord(store, key) {
+  const db = await openDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(store, "readwrite");
+    tx.objectStore(store).delete(key);
+    tx.oncomplete = res;
+    tx.onerror = () => rej(tx.error);
+  });
+}
+export async function getAllRecords(store) {
+  const db = await openDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(store, "readonly");
+    const req = tx.objectStore(store).getAll();
+    req.onsuccess = () => res(req.result);
+    req.onerror = () => rej(req.error);
+  });
+}
+
+// ============================================================
+// CACHE STORES
+// ============================================================
+// Records carry a cachedAt timestamp; anything older than maxAgeMs reads as missing.
+export async function getCached(store, keys, maxAgeMs) {
+  const db = await openDB();
+  const cutoff = Date.now() - maxAgeMs;
+  return new Promise((res, rej) => {
+    const tx = db.transaction(store, "readonly");
+    const os = tx.objectStore(store);
+    const found = new Map();
+    keys.forEach(key => {
+      const req = os.get(key);
+      req.onsuccess = () => { if (req.result && req.result.cachedAt >= cutoff) found.set(key, req.result); };
+    });
+    tx.oncomplete = () => res(found);
+    tx.onerror = () => rej(tx.error);
+  });
+}
+export async function putCached(store, records) {
+  if (!records.length) return;
+  const db = await openDB();
+  const cachedAt = Date.now();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(store, "readwrite");
+    const os = tx.objectStore(store);
+    records.forEach(r => os.put({ ...r, cachedAt }));
+    tx.oncomplete = res;
+    tx.onerror = () => rej(tx.error);
+  });
+}
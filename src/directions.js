@@ -0,0 +1,60 @@
+// ============================================================
+// DIRECTIONS
+// ============================================================
+// Readable instructions from OSRM route steps. A leg (stop to stop) is stored
+// on the day as { from, to, distance, duration, coordinates, steps }, each
+// step as { icon, text, distance, duration }, so directions keep working
+// offline once the route has been fetched.
+const ICONS = {
+  uturn: "⤺", "sharp right": "↱", right: "→", "slight right": "↗",
+  straight: "↑", "slight left": "↖", left: "←", "sharp left": "↰",
+};
+
+const ordinal = (n) => { const s = ["th", "st", "nd", "rd"], v = n % 100; return n + (s[(v - 20) % 10] || s[v] || s[0]); };
+
+const compass = (deg) => ["north", "northeast", "east", "southeast", "south", "southwest", "west", "northwest"][Math.round(deg / 45) % 8];
+
+function roadOf(step) {
+  const road = step.name || step.ref || "";
+  return road ? ` onto ${road}` : "";
+}
+
+export function stepIcon({ maneuver }) {
+  if (maneuver.type === "arrive") return "⚑";
+  if (maneuver.type === "roundabout" || maneuver.type === "rotary" || maneuver.type === "exit roundabout" || maneuver.type === "exit rotary") return "⟳";
+  return ICONS[maneuver.modifier] || "↑";
+}
+
+export function stepText(step) {
+  const { type, modifier, exit } = step.maneuver;
+  const turn = modifier === "uturn" ? "Make a U-turn"
+    : modifier === "straight" ? "Continue straight"
+    : modifier?.startsWith("slight ") ? `Bear ${modifier.slice(7)}`
+    : `Turn ${modifier || "ahead"}`;
+  const on = roadOf(step);
+  switch (type) {
+    case "depart": return `Head ${step.maneuver.bearing_after != null ? compass(step.maneuver.bearing_after) : "off"}${step.name ? ` on ${step.name}` : ""}`;
+    case "arrive": return `Arrive${modifier && modifier !== "straight" ? ` on the ${modifier.replace(/^(slight|sharp) /, "")}` : ""}`;
+    case "roundabout":
+    case "rotary": {
+      const name = step.rotary_name ? ` ${step.rotary_name}` : " the roundabout";
+      return `At${name}, take the ${exit ? ordinal(exit) + " " : ""}exit${on}`;
+    }
+    case "exit roundabout":
+    case "exit rotary": return `Exit the roundabout${on}`;
+    case "merge": return `Merge${modifier ? ` ${modifier}` : ""}${on}`;
+    case "on ramp": return `Take the ramp${modifier ? ` on the ${modifier}` : ""}${on}`;
+    case "off ramp": return `Take the exit${modifier ? ` on the ${modifier}` : ""}${on}`;
+    case "fork": return `Keep ${modifier?.includes("left") ? "left" : "right"} at the fork${on}`;
+    case "end of road": return `At the end of the road, ${turn.toLowerCase()}${on}`;
+    case "new name": return `Continue${on || " ahead"}`;
+    case "continue": return modifier && modifier !== "straight" ? `${turn}${on}` : `Continue${on}`;
+    default: return `${turn}${on}`;
+  }
+}
+
+// The leg a rep is on: the first one ending at a stop not yet visited
+export function currentLeg(legs, isVisited) {
+  const i = legs.findIndex(leg => !isVisited(leg.to));
+  return i < 0 ? legs.length - 1 : i;
+}
@@ -0,0 +1,154 @@
+// ============================================================
+// ROUTE EXPORT
+// ============================================================
+// Every exporter takes the same shape, built from the day's sorted stops:
+//   routes: [{ name, color, stops, coordinates, totalTime, totalDist }]
+//   stops:  [{ label, name, address, lat, lng, eta, openTime, closeTime,
+//              serviceMin, phone, notes, visited, windowConflict }]
+// `label` is "S"/"E" for start and end points, the stop number otherwise.
+// `coordinates` is the road geometry as [lat, lng] pairs, or null.
+import { fmtClock, fmtDist, fmtTime } from "./format.js";
+import { fmtDate } from "./dates.js";
+
+const CREATOR = "Field Route Planner";
+
+const xml = (s) => String(s ?? "").replace(/[<>&'"]/g, ch => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[ch]);
+const csvCell = (v) => /[",\n\r]/.test(String(v ?? "")) ? `"${String(v).replace(/"/g, '""')}"` : String(v ?? "");
+const windowText = (s) => s.openTime || s.closeTime ? `${s.openTime || "…"}–${s.closeTime || "…"}` : "";
+const title = (s) => /^\d+$/.test(String(s.label)) ? `${s.label}. ${s.name}` : `${s.label} · ${s.name}`;
+
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================================
+// GPX / KML / CSV
+// ============================================================
+// One <rte> (stops in visiting order) and one <trk> (road geometry) per route
+export function toGPX(date, routes) {
+  const rtes = routes.map(r => `  <rte>
+    <name>${xml(r.name)}</name>
+${r.stops.map(s => `    <rtept lat="${s.lat}" lon="${s.lng}"><name>${xml(title(s))}</name>${s.address ? `<desc>${xml(s.address)}</desc>` : ""}</rtept>`).join("\n")}
+  </rte>`);
+  const trks = routes.filter(r => r.coordinates?.length).map(r => `  <trk>
+    <name>${xml(r.name)}</name>
+    <trkseg>
+${r.coordinates.map(([lat, lng]) => `      <trkpt lat="${lat}" lon="${lng}"/>`).join("\n")}
+    </trkseg>
+  </trk>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${xml(`Route ${date}`)}</name><time>${new Date().toISOString()}</time></metadata>
+${[...rtes, ...trks].join("\n")}
+</gpx>
+`;
+}
+
+// KML colours are aabbggrr
+const kmlColor = (hex) => `ff${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`;
+
+export function toKML(date, routes) {
+  const folders = routes.map((r, i) => `    <Folder>
+      <name>${xml(r.name)}</name>
+${r.stops.map(s => `      <Placemark>
+        <name>${xml(title(s))}</name>
+        <description>${xml([s.address, s.eta != null ? `ETA ${fmtClock(s.eta)}` : "", windowText(s), s.phone, s.notes].filter(Boolean).join("\n"))}</description>
+        <Point><coordinates>${s.lng},${s.lat},0</coordinates></Point>
+      </Placemark>`).join("\n")}
+${r.coordinates?.length ? `      <Placemark>
+        <name>${xml(`${r.name} path`)}</name>
+        <styleUrl>#line${i}</styleUrl>
+        <LineString><tessellate>1</tessellate><coordinates>${r.coordinates.map(([lat, lng]) => `${lng},${lat},0`).join(" ")}</coordinates></LineString>
+      </Placemark>` : ""}
+    </Folder>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(`Route ${date}`)}</name>
+${routes.map((r, i) => `    <Style id="line${i}"><LineStyle><color>${kmlColor(r.color || "#f97316")}</color><width>4</width></LineStyle></Style>`).join("\n")}
+${folders.join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+export function toCSV(routes) {
+  const header = ["Route", "Seq", "Name", "Address", "Lat", "Lng", "ETA", "Window", "Service min", "Phone", "Notes", "Visited"];
+  const lines = routes.flatMap(r => r.stops.map(s => [
+    r.name, s.label, s.name, s.address, s.lat, s.lng, s.eta != null ? fmtClock(s.eta) : "",
+    windowText(s), s.serviceMin || "", s.phone, s.notes, s.visited ? "yes" : "",
+  ]));
+  return csvText([header, ...lines]);
+}
+
+// BOM so Excel reads the file as UTF-8
+export const csvText = (rows) => "\uFEFF" + rows.map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+// ============================================================
+// PRINTABLE DAY SHEET
+// ============================================================
+// Static map: Web Mercator projection of every stop and path, fitted to the box.
+function staticMapSVG(routes, width = 680, height = 360, pad = 24) {
+  const merc = ([lat, lng]) => [lng, -Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360)) * 180 / Math.PI];
+  const all = routes.flatMap(r => [...r.stops.map(s => [s.lat, s.lng]), ...(r.coordinates || [])]).map(merc);
+  if (!all.length) return "";
+  const xs = all.map(p => p[0]), ys = all.map(p => p[1]);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const scale = Math.min((width - 2 * pad) / (maxX - minX || 1e-6), (height - 2 * pad) / (maxY - minY || 1e-6));
+  const offX = (width - (maxX - minX) * scale) / 2, offY = (height - (maxY - minY) * scale) / 2;
+  const pt = (ll) => { const [x, y] = merc(ll); return [(offX + (x - minX) * scale).toFixed(1), (offY + (y - minY) * scale).toFixed(1)]; };
+  const paths = routes.map(r => {
+    const line = r.coordinates?.length ? r.coordinates : r.stops.map(s => [s.lat, s.lng]);
+    // A few hundred points is plenty at print size
+    const step = Math.max(1, Math.floor(line.length / 400));
+    const pts = line.filter((_, i) => i % step === 0 || i === line.length - 1).map(pt).map(p => p.join(",")).join(" ");
+    return `<polyline points="${pts}" fill="none" stroke="${r.color || "#f97316"}" stroke-width="3" stroke-opacity="0.8"/>`;
+  });
+  const markers = routes.flatMap(r => r.stops.map(s => {
+    const [x, y] = pt([s.lat, s.lng]);
+    const fill = /^\d+$/.test(String(s.label)) ? r.color || "#f97316" : "#3b82f6";
+    return `<g><circle cx="${x}" cy="${y}" r="9" fill="${fill}" stroke="#fff" stroke-width="1.5"/><text x="${x}" y="${y}" dy="3.5" text-anchor="middle" font-size="9" font-weight="700" fill="#fff">${xml(s.label)}</text></g>`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%"><rect width="${width}" height="${height}" fill="#f4f1ea"/>${paths.join("")}${markers.join("")}</svg>`;
+}
+
+export function daySheetHTML(date, routes) {
+  const sections = routes.map(r => `
+  <h2><span class="dot" style="background:${r.color || "#f97316"}"></span>${xml(r.name)} <small>${r.stops.filter(s => /^\d+$/.test(String(s.label))).length} stops · ${fmtDist(r.totalDist)} · ${fmtTime(r.totalTime)}</small></h2>
+  <table>
+    <thead><tr><th>#</th><th>Stop</th><th>ETA</th><th>Window</th><th>Phone</th><th>Notes</th><th>✓</th></tr></thead>
+    <tbody>
+${r.stops.map(s => `      <tr${s.windowConflict ? ' class="late"' : ""}><td>${xml(s.label)}</td><td><b>${xml(s.name)}</b><br><span class="addr">${xml(s.address)}</span></td><td>${s.eta != null ? fmtClock(s.eta) : ""}</td><td>${xml(windowText(s))}</td><td>${xml(s.phone)}</td><td>${xml(s.notes)}</td><td class="box">${s.visited ? "✓" : ""}</td></tr>`).join("\n")}
+    </tbody>
+  </table>`);
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${xml(`Route ${date}`)}</title>
+<style>
+  body { font: 12px/1.4 system-ui, sans-serif; color: #111; margin: 24px; }
+  h1 { font-size: 18px; margin: 0 0 8px; } h2 { font-size: 14px; margin: 18px 0 6px; } small { color: #666; font-weight: 400; }
+  .dot { display: inline-block; width: 10px; height: 10px; border-radius: 50%; margin-right: 6px; }
+  table { width: 100%; border-collapse: collapse; } th, td { border-bottom: 1px solid #ddd; padding: 4px 6px; text-align: left; vertical-align: top; }
+  th { font-size: 10px; text-transform: uppercase; color: #666; } .addr { color: #666; font-size: 11px; }
+  tr.late td { color: #b91c1c; } td.box { width: 24px; border: 1px solid #999; text-align: center; }
+  .map { border: 1px solid #ccc; margin-bottom: 8px; } tr { page-break-inside: avoid; }
+  @media print { .no-print { display: none; } body { margin: 0; } }
+</style></head>
+<body>
+  <button class="no-print" onclick="window.print()">Print / Save as PDF</button>
+  <h1>Route · ${xml(fmtDate(date))}</h1>
+  <div class="map">${staticMapSVG(routes)}</div>
+${sections.join("\n")}
+</body></html>
+`;
+}
+
+export function openDaySheet(date, routes) {
+  const url = URL.createObjectURL(new Blob([daySheetHTML(date, routes)], { type: "text/html" }));
+  const win = window.open(url, "_blank");
+  if (!win) throw new Error("Allow pop-ups to open the day sheet");
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
@@ -0,0 +1,13 @@
+// ============================================================
+// FORMATTING
+// ============================================================
+export const fmtTime = (s) => { if (!s) return "0m"; const h = Math.floor(s/3600), m = Math.floor((s%3600)/60); return h > 0 ? `${h}h ${m}m` : `${m}m`; };
+export const fmtClock = (s) => {
+  if (s == null) return "";
+  const t = Math.round(s / 60), h = Math.floor(t / 60) % 24, m = t % 60;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}`;
+};
+export const fmtDist = (m) => { if (!m) return "0 km"; return (m/1000).toFixed(1) + " km"; };
+export const fmtMoney = (v) => v == null || v === "" ? "" : `₹${Number(v).toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+// Text from imports, backups or sync going into popup HTML
+export const escapeHtml = (s) => String(s ?? "").replace(/[<>&'"]/g, ch => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&#39;", '"': "&quot;" })[ch]);
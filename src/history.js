@@ -0,0 +1,59 @@
+// ============================================================
+// UNDO HISTORY
+// ============================================================
+// Per-day undo/redo stacks of whole-day snapshots, newest last:
+//   { date, undo: [{ label, day, linked? }], redo: [...] }
+// An edit that also changed another day (moving stops) carries that day's
+// snapshot as linked: { date, day }, so one step undoes both.
+// Kept in HISTORY_STORE so the way back survives a reload. Photos of removed
+// stops, or taken off a visit, are only deleted once no snapshot can bring
+// them back.
+import { getRecord, putRecord, loadAllDays, HISTORY_STORE } from "./db.js";
+import { deletePhotos, photoIdsOf } from "./visits.js";
+
+export const HISTORY_LIMIT = 10;
+export const emptyHistory = (date) => ({ date, undo: [], redo: [] });
+
+export async function loadHistory(date) {
+  return (await getRecord(HISTORY_STORE, date).catch(() => null)) || emptyHistory(date);
+}
+
+// Deletes photos referenced only by snapshots that just fell off the stacks.
+// Other days count too: a stop moved to another day keeps its photos.
+const daysOf = (e) => e.linked ? [e.day, e.linked.day] : [e.day];
+
+async function dropSnapshots(dropped, kept) {
+  const ids = photoIdsOf(dropped.flatMap(daysOf).flatMap(d => d.locations));
+  if (!ids.length) return;
+  const live = new Set([...kept, ...await loadAllDays()].flatMap(d => photoIdsOf(d.locations)));
+  await deletePhotos(ids.filter(id => !live.has(id)));
+}
+
+function store(hist, dropped, current) {
+  dropSnapshots(dropped, [current, ...hist.undo.flatMap(daysOf), ...hist.redo.flatMap(daysOf)]).catch(e => console.error("✗ Photo cleanup failed", e));
+  putRecord(HISTORY_STORE, hist).catch(e => console.error("✗ History save failed", e));
+  return hist;
+}
+
+/** Records `before` (and `linked`, { date, day }) as undoable; a new edit discards the redo stack. */
+export function recordEdit(hist, label, before, after, linked = null) {
+  const undo = [...hist.undo, { label, day: before, ...(linked ? { linked } : {}) }];
+  const overflow = undo.splice(0, Math.max(0, undo.length - HISTORY_LIMIT));
+  return store({ ...hist, undo, redo: [] }, [...overflow, ...hist.redo], after);
+}
+
+/**
+ * Moves one step back ("undo") or forward ("redo"). `dayOf(date)` gives a
+ * day as it is now. Returns the new history, the day to restore, the linked
+ * day to restore ({ date, day } or null) and the step's label, or null when
+ * there is nothing to do.
+ */
+export function stepHistory(hist, dir, dayOf) {
+  const from = dir === "undo" ? "undo" : "redo", to = dir === "undo" ? "redo" : "undo";
+  const entry = hist[from][hist[from].length - 1];
+  if (!entry) return null;
+  const back = { label: entry.label, day: dayOf(hist.date), ...(entry.linked ? { linked: { date: entry.linked.date, day: dayOf(entry.linked.date) } } : {}) };
+  const next = { ...hist, [from]: hist[from].slice(0, -1), [to]: [...hist[to], back] };
+  store(next, [], entry.day);
+  return { hist: next, day: entry.day, linked: entry.linked || null, label: entry.label };
+}
@@ -0,0 +1,145 @@
+// ============================================================
+// FILE IMPORT
+// ============================================================
+// Turns CSV/XLSX tables, KML/KMZ placemarks and GPX waypoints into stop
+// records { name, address, lat, lng, phone, notes }. Tables come back raw
+// (headers + rows) so the user can map columns before records are built.
+import { unzipSync, strFromU8 } from "fflate";
+
+export const IMPORT_FIELDS = ["name", "address", "lat", "lng", "phone", "notes"];
+export const IMPORT_ACCEPT = ".csv,.tsv,.txt,.xlsx,.kml,.kmz,.gpx";
+
+const HEADER_HINTS = {
+  name: /^(name|shop|party|customer|store|title|outlet)/i,
+  address: /^(address|addr|location|area|street|place)/i,
+  lat: /^(lat|latitude|y)$/i,
+  lng: /^(lng|lon|long|longitude|x)$/i,
+  phone: /^(phone|mobile|tel|contact|cell)/i,
+  notes: /^(notes?|remarks?|comments?|description|desc)/i,
+};
+
+export async function readImportFile(file) {
+  const ext = file.name.split(".").pop().toLowerCase();
+  if (ext === "kml") return { kind: "points", records: parseKML(await file.text()) };
+  if (ext === "kmz") return { kind: "points", records: parseKMZ(new Uint8Array(await file.arrayBuffer())) };
+  if (ext === "gpx") return { kind: "points", records: parseGPX(await file.text()) };
+  const rows = ext === "xlsx" ? parseXLSX(new Uint8Array(await file.arrayBuffer())) : parseCSV(await file.text());
+  const [headers = [], ...body] = rows.filter(r => r.some(c => String(c).trim()));
+  return { kind: "table", headers: headers.map(h => String(h).trim()), rows: body };
+}
+
+// ============================================================
+// TABLES
+// ============================================================
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF; delimiter sniffed from the header line
+export function parseCSV(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delim = [",", ";", "\t"].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ",");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === delim) { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+// First worksheet only; shared strings and inline strings are resolved, formulas read as their cached value
+export function parseXLSX(bytes) {
+  const files = unzipSync(bytes);
+  const xml = (path) => files[path] ? new DOMParser().parseFromString(strFromU8(files[path]), "application/xml") : null;
+  const shared = [...(xml("xl/sharedStrings.xml")?.getElementsByTagName("si") || [])].map(si => [...si.getElementsByTagName("t")].map(t => t.textContent).join(""));
+  const sheetPath = Object.keys(files).filter(p => /^xl\/worksheets\/sheet\d+\.xml$/.test(p)).sort()[0];
+  if (!sheetPath) throw new Error("No worksheet found");
+  const colIndex = (ref) => [...ref.replace(/\d+/g, "")].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+  return [...xml(sheetPath).getElementsByTagName("row")].map(r => {
+    const out = [];
+    // `r` is optional; a cell without one sits right after the previous cell
+    let col = 0;
+    [...r.getElementsByTagName("c")].forEach(c => {
+      const type = c.getAttribute("t");
+      const v = c.getElementsByTagName("v")[0]?.textContent ?? "";
+      const value = type === "s" ? shared[Number(v)] ?? "" : type === "inlineStr" ? c.getElementsByTagName("t")[0]?.textContent ?? "" : v;
+      const ref = c.getAttribute("r");
+      if (ref) col = colIndex(ref);
+      out[col++] = value;
+    });
+    return Array.from(out, v => v ?? "");
+  });
+}
+
+export function guessMapping(headers) {
+  const mapping = {};
+  IMPORT_FIELDS.forEach(field => {
+    const idx = headers.findIndex((h, i) => HEADER_HINTS[field].test(h.trim()) && !Object.values(mapping).includes(i));
+    mapping[field] = idx >= 0 ? idx : null;
+  });
+  return mapping;
+}
+
+export function recordsFromTable(rows, mapping) {
+  const cell = (row, field) => mapping[field] == null ? "" : String(row[mapping[field]] ?? "").trim();
+  return rows.map(row => {
+    const lat = parseFloat(cell(row, "lat")), lng = parseFloat(cell(row, "lng"));
+    const hasCoords = !isNaN(lat) && !isNaN(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+    return {
+      name: cell(row, "name"), address: cell(row, "address"),
+      lat: hasCoords ? lat : null, lng: hasCoords ? lng : null,
+      phone: cell(row, "phone"), notes: cell(row, "notes"),
+    };
+  });
+}
+
+// ============================================================
+// KML / KMZ / GPX
+// ============================================================
+const text = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent.trim() || "";
+const stripTags = (s) => s.replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+
+function parseXML(src) {
+  const doc = new DOMParser().parseFromString(src, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("File is not valid XML");
+  return doc;
+}
+
+export function parseKML(src) {
+  return [...parseXML(src).getElementsByTagName("Placemark")].flatMap(pm => {
+    const point = pm.getElementsByTagName("Point")[0];
+    const coords = point ? text(point, "coordinates") : "";
+    // No Point: both stay undefined (Number("") would be 0)
+    const [lng, lat] = coords ? coords.split(",").map(Number) : [];
+    const address = text(pm, "address");
+    if ((isNaN(lat) || isNaN(lng)) && !address) return [];
+    return [{
+      name: text(pm, "name"), address,
+      lat: isNaN(lat) ? null : lat, lng: isNaN(lng) ? null : lng,
+      phone: text(pm, "phoneNumber"), notes: stripTags(text(pm, "description")),
+    }];
+  });
+}
+
+export function parseKMZ(bytes) {
+  const files = unzipSync(bytes);
+  const kml = Object.keys(files).find(p => p.toLowerCase() === "doc.kml") || Object.keys(files).find(p => p.toLowerCase().endsWith(".kml"));
+  if (!kml) throw new Error("No KML inside KMZ");
+  return parseKML(strFromU8(files[kml]));
+}
+
+export function parseGPX(src) {
+  return [...parseXML(src).getElementsByTagName("wpt")].map(w => ({
+    name: text(w, "name"), address: "",
+    lat: parseFloat(w.getAttribute("lat")), lng: parseFloat(w.getAttribute("lon")),
+    phone: "", notes: text(w, "desc") || text(w, "cmt"),
+  })).filter(r => !isNaN(r.lat) && !isNaN(r.lng));
+}
@@ -0,0 +1,106 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from "vitest";
+import { zipSync, strToU8 } from "fflate";
+import { parseCSV, parseXLSX, parseKML, parseKMZ, parseGPX, guessMapping, recordsFromTable } from "./importers.js";
+
+// Minimal workbook: first sheet plus optional shared strings
+function xlsx(sheetRows, shared = null) {
+  const files = {
+    "xl/worksheets/sheet1.xml": strToU8(`<?xml version="1.0"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`),
+  };
+  if (shared) {
+    files["xl/sharedStrings.xml"] = strToU8(`<?xml version="1.0"?><sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${shared.map(s => `<si><t>${s}</t></si>`).join("")}</sst>`);
+  }
+  return zipSync(files);
+}
+
+describe("parseCSV", () => {
+  it("handles quoted delimiters, doubled quotes and line breaks inside quotes", () => {
+    const rows = parseCSV('name,address,notes\r\n"Sharma, Stores","12 ""Main"" Rd","line one\nline two"\r\nPatel,MG Road,\n');
+    expect(rows).toEqual([
+      ["name", "address", "notes"],
+      ["Sharma, Stores", '12 "Main" Rd', "line one\nline two"],
+      ["Patel", "MG Road", ""],
+    ]);
+  });
+
+  it("sniffs semicolon and tab delimiters and drops a BOM", () => {
+    expect(parseCSV("\uFEFFname;lat;lng\nA;12.9;77.6")).toEqual([["name", "lat", "lng"], ["A", "12.9", "77.6"]]);
+    expect(parseCSV("name\taddress\nB\t\"x, y\"")).toEqual([["name", "address"], ["B", "x, y"]]);
+  });
+});
+
+describe("parseXLSX", () => {
+  it("resolves shared and inline strings and places cells by their reference", () => {
+    const rows = parseXLSX(xlsx(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+      '<row r="2"><c r="A2" t="inlineStr"><is><t>Sharma Stores</t></is></c><c r="C2"><v>12.97</v></c></row>',
+      ["name", "lat"],
+    ));
+    expect(rows).toEqual([["name", "", "lat"], ["Sharma Stores", "", "12.97"]]);
+  });
+
+  it("places cells without an r attribute after the previous cell", () => {
+    const rows = parseXLSX(xlsx(
+      '<row><c t="s"><v>0</v></c><c t="s"><v>1</v></c><c t="s"><v>2</v></c></row>' +
+      '<row><c r="B2"><v>12.97</v></c><c><v>77.59</v></c></row>',
+      ["name", "lat", "lng"],
+    ));
+    expect(rows).toEqual([["name", "lat", "lng"], ["", "12.97", "77.59"]]);
+  });
+
+  it("rejects a workbook without a worksheet", () => {
+    expect(() => parseXLSX(zipSync({ "xl/workbook.xml": strToU8("<workbook/>") }))).toThrow("No worksheet found");
+  });
+});
+
+describe("table records", () => {
+  it("guesses columns from headers and keeps only valid coordinates", () => {
+    const headers = ["Shop Name", "Address", "Latitude", "Longitude", "Mobile"];
+    const mapping = guessMapping(headers);
+    expect(mapping).toMatchObject({ name: 0, address: 1, lat: 2, lng: 3, phone: 4, notes: null });
+    expect(recordsFromTable([["A", "MG Road", "12.97", "77.59", "98450"], ["B", "Indiranagar", "north", "", ""]], mapping)).toEqual([
+      { name: "A", address: "MG Road", lat: 12.97, lng: 77.59, phone: "98450", notes: "" },
+      { name: "B", address: "Indiranagar", lat: null, lng: null, phone: "", notes: "" },
+    ]);
+  });
+});
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+  <Placemark><name>Sharma Stores</name><description><![CDATA[<b>Call</b> first]]></description><Point><coordinates>77.5946,12.9716,0</coordinates></Point></Placemark>
+  <Placemark><name>Patel Traders</name><address>MG Road, Bengaluru</address></Placemark>
+  <Placemark><name>Boundary</name><Polygon><outerBoundaryIs><LinearRing><coordinates>77,12 78,12 78,13</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>
+</Document></kml>`;
+
+describe("parseKML", () => {
+  it("reads point placemarks and address-only placemarks and skips the rest", () => {
+    expect(parseKML(KML)).toEqual([
+      { name: "Sharma Stores", address: "", lat: 12.9716, lng: 77.5946, phone: "", notes: "Call first" },
+      { name: "Patel Traders", address: "MG Road, Bengaluru", lat: null, lng: null, phone: "", notes: "" },
+    ]);
+  });
+
+  it("reads the KML inside a KMZ", () => {
+    expect(parseKMZ(zipSync({ "doc.kml": strToU8(KML) }))).toHaveLength(2);
+  });
+
+  it("rejects invalid XML", () => {
+    expect(() => parseKML("<kml><Placemark>")).toThrow("File is not valid XML");
+  });
+});
+
+describe("parseGPX", () => {
+  it("reads waypoints and skips ones without coordinates", () => {
+    const gpx = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="12.9716" lon="77.5946"><name>Sharma Stores</name><desc>Back entrance</desc></wpt>
+  <wpt lat="12.93" lon="77.62"><name>Patel Traders</name><cmt>Closed Sundays</cmt></wpt>
+  <wpt><name>Broken</name></wpt>
+</gpx>`;
+    expect(parseGPX(gpx)).toEqual([
+      { name: "Sharma Stores", address: "", lat: 12.9716, lng: 77.5946, phone: "", notes: "Back entrance" },
+      { name: "Patel Traders", address: "", lat: 12.93, lng: 77.62, phone: "", notes: "Closed Sundays" },
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+import L from "leaflet";
+
+// ============================================================
+// MAP LAYERS
+// ============================================================
+// Marker clustering and a visit-density heatmap in plain Leaflet, plus the
+// toggles that decide which layers the map shows.
+export const MAP_LAYERS = {
+  pending: { label: "Pending", icon: "○" },
+  visited: { label: "Visited", icon: "✓" },
+  week: { label: "This week", icon: "📅" },
+  customers: { label: "Customers", icon: "👤" },
+  heat: { label: "Heatmap", icon: "🔥" },
+};
+const LAYERS_KEY = "frp_map_layers";
+const DEFAULT_LAYERS = { pending: true, visited: true, week: false, customers: false, heat: false };
+
+export function loadMapLayers() {
+  try { return { ...DEFAULT_LAYERS, ...JSON.parse(localStorage.getItem(LAYERS_KEY) || "{}") }; }
+  catch { return DEFAULT_LAYERS; }
+}
+export function saveMapLayers(layers) {
+  localStorage.setItem(LAYERS_KEY, JSON.stringify(layers));
+  return layers;
+}
+
+// Stops closer than this many pixels share a cluster; from CLUSTER_MAX_ZOOM on
+// every stop gets its own marker
+const CLUSTER_PX = 44;
+export const CLUSTER_MAX_ZOOM = 16;
+
+/**
+ * Groups items ({ lat, lng }) by the CLUSTER_PX grid cell they project into.
+ * `project([lat, lng])` gives pixel { x, y } at the current zoom. Returns
+ * [{ items, lat, lng }] with the cluster at the items' mean position.
+ */
+export function clusterPoints(items, project, px = CLUSTER_PX) {
+  const cells = new Map();
+  items.forEach(item => {
+    const p = project([item.lat, item.lng]);
+    const key = `${Math.floor(p.x / px)}:${Math.floor(p.y / px)}`;
+    const cell = cells.get(key) || cells.set(key, []).get(key);
+    cell.push(item);
+  });
+  return [...cells.values()].map(items => ({
+    items,
+    lat: items.reduce((s, i) => s + i.lat, 0) / items.length,
+    lng: items.reduce((s, i) => s + i.lng, 0) / items.length,
+  }));
+}
+
+// Count bubble; the green arc shows how much of the cluster is visited
+export function clusterIcon(count, done, color = "#f97316") {
+  const size = count < 10 ? 34 : count < 50 ? 40 : 46;
+  const deg = Math.round((done / count) * 360);
+  return L.divIcon({
+    className: "",
+    html: `<div style="width:${size}px;height:${size}px;border-radius:50%;padding:3px;box-sizing:border-box;background:conic-gradient(#22c55e ${deg}deg, ${color} 0);box-shadow:0 3px 10px rgba(0,0,0,0.5);">
+      <div style="width:100%;height:100%;border-radius:50%;background:#0c0f14;color:#fff;display:flex;align-items:center;justify-content:center;font-weight:800;font-size:12px;font-family:monospace;">${count}</div>
+    </div>`,
+    iconSize: [size, size], iconAnchor: [size / 2, size / 2],
+  });
+}
+
+// Blue → yellow → red by density (0–1)
+const RAMP = [[59, 130, 246], [234, 179, 8], [220, 38, 38]];
+function rampColor(v) {
+  const x = Math.min(1, v) * (RAMP.length - 1), i = Math.min(RAMP.length - 2, Math.floor(x)), f = x - i;
+  return RAMP[i].map((c, k) => Math.round(c + (RAMP[i + 1][k] - c) * f));
+}
+
+/**
+ * Canvas overlay of [lat, lng, weight?] points. Each point paints a soft blob
+ * whose alpha adds up where points overlap; the summed alpha is then
+ * coloured along the ramp. Redrawn after every pan or zoom.
+ */
+export const HeatLayer = L.Layer.extend({
+  options: { radius: 28, max: 3 },
+
+  initialize(points, options) {
+    this._points = points;
+    L.setOptions(this, options);
+  },
+
+  setPoints(points) {
+    this._points = points;
+    if (this._map) this._redraw();
+    return this;
+  },
+
+  onAdd(map) {
+    this._canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide");
+    this._canvas.style.pointerEvents = "none";
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on("moveend resize", this._redraw, this);
+    this._redraw();
+  },
+
+  onRemove(map) {
+    map.off("moveend resize", this._redraw, this);
+    this._canvas.remove();
+  },
+
+  _redraw() {
+    const map = this._map, size = map.getSize(), canvas = this._canvas, r = this.options.radius;
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+    canvas.width = size.x; canvas.height = size.y;
+    if (!size.x || !size.y) return;
+    const ctx = canvas.getContext("2d");
+    this._points.forEach(([lat, lng, w = 1]) => {
+      const p = map.latLngToContainerPoint([lat, lng]);
+      if (p.x < -r || p.y < -r || p.x > size.x + r || p.y > size.y + r) return;
+      const g = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, r);
+      g.addColorStop(0, `rgba(0,0,0,${Math.min(1, w / this.options.max)})`);
+      g.addColorStop(1, "rgba(0,0,0,0)");
+      ctx.fillStyle = g;
+      ctx.fillRect(p.x - r, p.y - r, 2 * r, 2 * r);
+    });
+    const img = ctx.getImageData(0, 0, size.x, size.y), px = img.data;
+    for (let i = 0; i < px.length; i += 4) {
+      const a = px[i + 3] / 255;
+      if (!a) continue;
+      [px[i], px[i + 1], px[i + 2]] = rampColor(a);
+      px[i + 3] = Math.round(40 + a * 160);
+    }
+    ctx.putImageData(img, 0, 0);
+  },
+});
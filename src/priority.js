@@ -0,0 +1,29 @@
+// ============================================================
+// STOP PRIORITY
+// ============================================================
+// How much a stop matters when the day can't fit everything. A stop's
+// `penalty` is what skipping it costs, in minutes of route time; without one
+// the priority's default applies. Must-visit stops are never dropped.
+export const PRIORITIES = {
+  must: { label: "Must visit", icon: "‼", penalty: Infinity },
+  high: { label: "High", icon: "▲", penalty: 120 },
+  normal: { label: "Normal", icon: "●", penalty: 45 },
+  optional: { label: "Optional", icon: "▽", penalty: 10 },
+};
+
+// Tapping the badge steps through the levels in this order
+const CYCLE = ["normal", "high", "must", "optional"];
+
+export const priorityOf = (l) => PRIORITIES[l.priority] ? l.priority : "normal";
+export const nextPriority = (l) => CYCLE[(CYCLE.indexOf(priorityOf(l)) + 1) % CYCLE.length];
+
+export function penaltyOf(l) {
+  const p = priorityOf(l);
+  return p === "must" ? Infinity : l.penalty ?? PRIORITIES[p].penalty;
+}
+
+export const DROP_REASONS = {
+  detour: "detour takes longer than the stop is worth",
+  window: "can't be reached in its time window",
+  budget: "doesn't fit the working hours",
+};
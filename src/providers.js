@@ -0,0 +1,405 @@
+// ============================================================
+// PROVIDERS
+// ============================================================
+// Geocoding and routing go through a provider entry (kind + base URL) so the
+// app can point at a self-hosted OSRM/Nominatim or a local mock server.
+// Every provider gets its own request queue with a minimum spacing between
+// calls, a per-request timeout and retries with backoff.
+import { getCached, putCached, GEOCODE_STORE, DURATION_STORE } from "./db.js";
+import { activeRegion } from "./regions.js";
+import { stepIcon, stepText } from "./directions.js";
+
+const CONFIG_KEY = "frp_providers";
+const DAY_MS = 24 * 3600 * 1000;
+const GEOCODE_TTL = 90 * DAY_MS;
+const DURATION_TTL = 14 * DAY_MS;
+
+export const DEFAULT_PROVIDERS = {
+  geocoder: { kind: "nominatim", baseUrl: "https://nominatim.openstreetmap.org", minIntervalMs: 1000, timeoutMs: 10000, retries: 2 },
+  router: { kind: "osrm", baseUrl: "https://router.project-osrm.org", profile: "driving", minIntervalMs: 0, timeoutMs: 20000, retries: 2, maxTableSize: 100, maxRoutePoints: 50 },
+};
+
+let config = loadProviderConfig();
+
+export function loadProviderConfig() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIG_KEY) || "{}");
+    return {
+      geocoder: { ...DEFAULT_PROVIDERS.geocoder, ...saved.geocoder },
+      router: { ...DEFAULT_PROVIDERS.router, ...saved.router },
+    };
+  } catch {
+    return structuredClone(DEFAULT_PROVIDERS);
+  }
+}
+
+export function getProviderConfig() {
+  return config;
+}
+
+export function setProviderConfig(next) {
+  config = {
+    geocoder: { ...DEFAULT_PROVIDERS.geocoder, ...next.geocoder },
+    router: { ...DEFAULT_PROVIDERS.router, ...next.router },
+  };
+  localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+  return config;
+}
+
+// ============================================================
+// REQUESTS
+// ============================================================
+const queues = {};
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const trimSlash = (url) => url.replace(/\/+$/, "");
+
+// Serialises calls per provider so minIntervalMs is honoured even when
+// several geocodes or tables are requested at once.
+function throttle(name, minIntervalMs) {
+  const q = queues[name] || (queues[name] = { tail: Promise.resolve(), last: 0 });
+  const turn = q.tail.then(async () => {
+    const wait = q.last + minIntervalMs - Date.now();
+    if (wait > 0) await sleep(wait);
+    q.last = Date.now();
+  });
+  q.tail = turn.catch(() => {});
+  return turn;
+}
+
+async function providerFetch(name, url, init = {}) {
+  const p = config[name];
+  let lastError;
+  for (let attempt = 0; attempt <= p.retries; attempt++) {
+    if (attempt) await sleep(500 * 2 ** (attempt - 1));
+    await throttle(name, p.minIntervalMs);
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), p.timeoutMs);
+    try {
+      const res = await fetch(url, { ...init, signal: ctrl.signal });
+      // 429 and 5xx are worth another try; other HTTP errors are final
+      if (res.status === 429 || res.status >= 500) { lastError = new Error(`${name} HTTP ${res.status}`); continue; }
+      if (!res.ok) {
+        // Keep the error body: OSRM, for one, explains NoRoute/InvalidQuery in it
+        const body = await res.json().catch(() => null);
+        throw Object.assign(new Error(`${name} HTTP ${res.status}${body?.message ? ` · ${body.message}` : ""}`), { final: true, body });
+      }
+      return await res.json();
+    } catch (e) {
+      if (e.final) throw e;
+      lastError = e.name === "AbortError" ? new Error(`${name} timed out`) : e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  // Out of retries on network/timeout/5xx: the provider is unreachable right now
+  throw Object.assign(lastError, { unavailable: true });
+}
+
+const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+
+// ============================================================
+// GEOCODERS
+// ============================================================
+const GEOCODERS = {
+  nominatim: {
+    // place_rank: 30 = building/POI, 26 = street, ≤ 25 = area (suburb, city, …)
+    async search(p, query, limit = 1, region = null) {
+      const bias = region ? [
+        region.countrycodes && `&countrycodes=${encodeURIComponent(region.countrycodes)}`,
+        region.viewbox && `&viewbox=${region.viewbox.join(",")}&bounded=${region.bounded ? 1 : 0}`,
+      ].filter(Boolean).join("") : "";
+      const url = `${trimSlash(p.baseUrl)}/search?q=${encodeURIComponent(query)}&format=jsonv2&limit=${limit}${bias}`;
+      const data = await providerFetch("geocoder", url, { headers: { "Accept-Language": "en" } });
+      return data.map(r => ({ lat: parseFloat(r.lat), lng: parseFloat(r.lon), display: r.display_name, rank: r.place_rank ?? null }));
+    },
+    // Centre, bounding box and country of a named place, for setting up a region
+    async area(p, query) {
+      const url = `${trimSlash(p.baseUrl)}/search?q=${encodeURIComponent(query)}&format=jsonv2&limit=1&addressdetails=1`;
+      const [r] = await providerFetch("geocoder", url, { headers: { "Accept-Language": "en" } });
+      if (!r) return null;
+      const [s, n, w, e] = r.boundingbox.map(Number);
+      return { center: [parseFloat(r.lat), parseFloat(r.lon)], viewbox: [w, s, e, n], countrycodes: r.address?.country_code || "", display: r.display_name };
+    },
+    // Nearest address to a point, with a short name (shop, building or road)
+    async reverse(p, lat, lng) {
+      const url = `${trimSlash(p.baseUrl)}/reverse?lat=${lat}&lon=${lng}&format=jsonv2&zoom=18&addressdetails=1`;
+      const r = await providerFetch("geocoder", url, { headers: { "Accept-Language": "en" } });
+      if (!r || r.error) return null;
+      const a = r.address || {};
+      return { display: r.display_name, name: r.name || [a.house_number, a.road].filter(Boolean).join(" ") || a.suburb || a.neighbourhood || "" };
+    },
+  },
+};
+
+// ============================================================
+// ROUTERS
+// ============================================================
+const coordList = (locations) => locations.map(l => `${l.lng},${l.lat}`).join(";");
+// OSRM answers 400 with { code, message } for NoRoute, InvalidQuery and the
+// like; hand that body back so the callers' `code !== "Ok"` checks see it
+const osrmFetch = (url) => providerFetch("router", url).catch(e => {
+  if (e.body?.code) return e.body;
+  throw e;
+});
+
+const ROUTERS = {
+  osrm: {
+    // durations/distances from each of `sources` to each of `destinations` (indices into locations)
+    async table(p, locations, sources, destinations) {
+      const query = `annotations=duration,distance&sources=${sources.join(";")}&destinations=${destinations.join(";")}`;
+      const data = await osrmFetch(`${trimSlash(p.baseUrl)}/table/v1/${p.profile}/${coordList(locations)}?${query}`);
+      if (data.code !== "Ok") throw new Error(data.message || "OSRM error");
+      return { durations: data.durations, distances: data.distances || null };
+    },
+    async route(p, locations) {
+      const data = await osrmFetch(`${trimSlash(p.baseUrl)}/route/v1/${p.profile}/${coordList(locations)}?overview=full&geometries=geojson&steps=true`);
+      if (data.code !== "Ok") return null;
+      const latLng = ([lng, lat]) => [lat, lng];
+      return {
+        coordinates: data.routes[0].geometry.coordinates.map(latLng),
+        distance: data.routes[0].distance,
+        duration: data.routes[0].duration,
+        // Consecutive steps share their boundary point
+        legs: data.routes[0].legs.map(leg => ({
+          distance: leg.distance,
+          duration: leg.duration,
+          coordinates: leg.steps.flatMap((s, i) => (i ? s.geometry.coordinates.slice(1) : s.geometry.coordinates)).map(latLng),
+          steps: leg.steps.map(s => ({ icon: stepIcon(s), text: stepText(s), distance: s.distance, duration: s.duration })),
+        })),
+      };
+    },
+  },
+};
+
+export const GEOCODER_KINDS = Object.keys(GEOCODERS);
+export const ROUTER_KINDS = Object.keys(ROUTERS);
+
+function geocoder() {
+  const impl = GEOCODERS[config.geocoder.kind];
+  if (!impl) throw new Error(`Unknown geocoder "${config.geocoder.kind}"`);
+  return impl;
+}
+function router() {
+  const impl = ROUTERS[config.router.kind];
+  if (!impl) throw new Error(`Unknown router "${config.router.kind}"`);
+  return impl;
+}
+
+// ============================================================
+// CONFIDENCE
+// ============================================================
+// How far a stop's pin can be trusted. "manual" pins were placed by hand or
+// came from a maps link; the rest follow the geocoder's match precision.
+export const CONFIDENCE = {
+  manual: { label: "Exact pin", icon: "📍" },
+  high: { label: "Building match", icon: "●" },
+  medium: { label: "Street match", icon: "◐" },
+  low: { label: "Area only", icon: "○" },
+};
+export const confidenceOf = (r) => r.rank == null ? "medium" : r.rank >= 28 ? "high" : r.rank >= 26 ? "medium" : "low";
+
+// ============================================================
+// PUBLIC API
+// ============================================================
+const queryFor = (address) => { const { suffix } = activeRegion(); return suffix ? `${address}, ${suffix}` : address; };
+const withConfidence = (r) => ({ lat: r.lat, lng: r.lng, display: r.display, confidence: confidenceOf(r) });
+
+export async function geocodeAddress(address) {
+  const query = queryFor(address);
+  const key = normalizeAddress(query);
+  const hit = (await readCache(GEOCODE_STORE, [key], GEOCODE_TTL)).get(key);
+  if (hit) return withConfidence(hit);
+  if (isOffline()) throw new Error("Offline · address not cached");
+  const results = await geocoder().search(config.geocoder, query, 1, activeRegion());
+  if (!results.length) throw new Error("Address not found");
+  writeCache(GEOCODE_STORE, [{ key, ...results[0] }]);
+  return withConfidence(results[0]);
+}
+
+// Up to `limit` matches, best first, for the candidate picker. Offline only
+// the cached best match is available.
+export async function geocodeCandidates(address, limit = 5) {
+  const query = queryFor(address);
+  const key = normalizeAddress(query);
+  if (isOffline()) {
+    const hit = (await readCache(GEOCODE_STORE, [key], GEOCODE_TTL)).get(key);
+    if (hit) return [withConfidence(hit)];
+    throw new Error("Offline · address not cached");
+  }
+  const results = await geocoder().search(config.geocoder, query, limit, activeRegion());
+  if (!results.length) throw new Error("Address not found");
+  writeCache(GEOCODE_STORE, [{ key, ...results[0] }]);
+  return results.map(withConfidence);
+}
+
+export async function lookupArea(name) {
+  if (isOffline()) throw new Error("Offline · cannot look up places");
+  const area = await geocoder().area(config.geocoder, name);
+  if (!area) throw new Error(`Place not found: ${name}`);
+  return area;
+}
+
+// Address for a point tapped on the map. Offline, or when nothing is found,
+// the coordinates stand in for the address.
+export async function reverseGeocode(lat, lng) {
+  const fallback = { display: `${lat.toFixed(5)}, ${lng.toFixed(5)}`, name: "" };
+  if (isOffline()) return fallback;
+  try { return (await geocoder().reverse(config.geocoder, lat, lng)) || fallback; }
+  catch { return fallback; }
+}
+
+export async function getDistanceMatrix(locations) {
+  return (await getTravelMatrix(locations)).durations;
+}
+
+// Builds the N×N matrices from sources × destinations tiles small enough for
+// the router's table limit. Pairs already fetched are reused, so adding a
+// stop only requests that stop's row and column.
+export async function getTravelMatrix(locations) {
+  const keys = locations.map(coordKey);
+  const all = keys.map((_, i) => i);
+  const same = (i, j) => i === j || keys[i] === keys[j];
+  const known = (i, j) => same(i, j) || pairCache.has(pairKey(keys[i], keys[j]));
+  const seen = (i) => all.some(j => !same(i, j) && (known(i, j) || known(j, i)));
+
+  // Pull whatever the offline cache still holds before going to the network
+  const unknown = all.flatMap(i => all.filter(j => !known(i, j)).map(j => pairKey(keys[i], keys[j])));
+  if (unknown.length) (await readCache(DURATION_STORE, unknown, DURATION_TTL)).forEach((r, k) => pairCache.set(k, r));
+
+  let estimated = false;
+  try {
+    if (all.some(i => all.some(j => !known(i, j))) && isOffline()) throw Object.assign(new Error("offline"), { unavailable: true });
+    // Stops never seen before: fetch their whole row and column
+    const fresh = all.filter(i => !seen(i));
+    if (fresh.length) {
+      const freshSet = new Set(fresh);
+      await fetchTiles(locations, fresh, all);
+      await fetchTiles(locations, all.filter(i => !freshSet.has(i)), fresh);
+    }
+    // Anything still unknown (e.g. expired from the cache): rows × cols that contain gaps
+    const rows = all.filter(i => all.some(j => !known(i, j)));
+    const cols = all.filter(j => all.some(i => !known(i, j)));
+    if (rows.length) await fetchTiles(locations, rows, cols);
+  } catch (e) {
+    if (!e.unavailable) throw e;
+    estimated = true;
+  }
+
+  const cell = (i, j) => same(i, j) ? { duration: 0, distance: 0 } : pairCache.get(pairKey(keys[i], keys[j])) || estimateLeg(locations[i], locations[j]);
+  const durations = all.map(i => all.map(j => cell(i, j).duration));
+  const distances = all.map(i => all.map(j => cell(i, j).distance));
+  return { durations, distances, estimated };
+}
+
+// Long routes are requested in overlapping batches (the last point of one
+// batch starts the next) and the geometry segments joined back together.
+// Legs come back tagged with the ids of the stops they connect.
+export async function getRouteGeometry(locations) {
+  const route = await fetchRoute(locations);
+  if (route) route.legs = route.legs.map((leg, i) => ({ from: locations[i].id, to: locations[i + 1].id, ...leg }));
+  return route;
+}
+
+async function fetchRoute(locations) {
+  const size = Math.max(2, config.router.maxRoutePoints);
+  const batches = [];
+  for (let i = 0; i < locations.length - 1; i += size - 1) batches.push(locations.slice(i, i + size));
+  if (!batches.length) batches.push(locations);
+  let parts;
+  try {
+    if (isOffline()) throw Object.assign(new Error("offline"), { unavailable: true });
+    parts = await Promise.all(batches.map(b => router().route(config.router, b)));
+  } catch (e) {
+    if (!e.unavailable) throw e;
+    return estimateRoute(locations);
+  }
+  if (parts.some(p => !p)) return null;
+  return {
+    coordinates: parts.flatMap((p, i) => i ? p.coordinates.slice(1) : p.coordinates),
+    distance: parts.reduce((s, p) => s + p.distance, 0),
+    duration: parts.reduce((s, p) => s + p.duration, 0),
+    legs: parts.flatMap(p => p.legs),
+  };
+}
+
+// ============================================================
+// MATRIX CACHE
+// ============================================================
+// Unroutable pairs come back as null; a large finite cost keeps the solver's arithmetic sane
+const UNREACHABLE = 1e7;
+const pairCache = new Map();
+const coordKey = (l) => `${(+l.lng).toFixed(6)},${(+l.lat).toFixed(6)}`;
+const pairKey = (a, b) => `${a}|${b}`;
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+async function readCache(store, keys, maxAgeMs) {
+  try { return await getCached(store, keys, maxAgeMs); }
+  catch { return new Map(); }
+}
+function writeCache(store, records) {
+  putCached(store, records).catch(e => console.warn("Cache write failed", e));
+}
+
+export const normalizeAddress = (address) =>
+  address.toLowerCase().normalize("NFKD").replace(/\p{M}/gu, "").replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+
+// ============================================================
+// OFFLINE ESTIMATES
+// ============================================================
+// Straight-line distance stretched for road detours, driven at an urban average speed
+const DETOUR_FACTOR = 1.35;
+const AVG_SPEED_MPS = 25 / 3.6;
+
+export function haversine(a, b) {
+  const R = 6371000, rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad, dLng = (b.lng - a.lng) * rad;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+export function estimateLeg(a, b) {
+  const distance = haversine(a, b) * DETOUR_FACTOR;
+  return { distance, duration: distance / AVG_SPEED_MPS };
+}
+
+function estimateRoute(locations) {
+  const legs = locations.slice(1).map((l, i) => estimateLeg(locations[i], l));
+  return {
+    coordinates: locations.map(l => [l.lat, l.lng]),
+    distance: legs.reduce((s, l) => s + l.distance, 0),
+    duration: legs.reduce((s, l) => s + l.duration, 0),
+    legs: legs.map((leg, i) => ({
+      ...leg,
+      coordinates: [[locations[i].lat, locations[i].lng], [locations[i + 1].lat, locations[i + 1].lng]],
+      steps: [{ icon: "↗", text: "Head towards the next stop (no road directions offline)", distance: leg.distance, duration: leg.duration }],
+    })),
+    estimated: true,
+  };
+}
+
+async function fetchTiles(locations, sources, destinations) {
+  if (!sources.length || !destinations.length) return;
+  const block = Math.max(1, Math.floor(config.router.maxTableSize / 2));
+  const tiles = [];
+  for (const src of chunk(sources, block)) for (const dst of chunk(destinations, block)) tiles.push([src, dst]);
+  await Promise.all(tiles.map(async ([src, dst]) => {
+    // Only the coordinates this tile touches go into the URL
+    const ids = [...new Set([...src, ...dst])];
+    const pos = new Map(ids.map((id, k) => [id, k]));
+    const { durations, distances } = await router().table(config.router, ids.map(i => locations[i]), src.map(i => pos.get(i)), dst.map(i => pos.get(i)));
+    const records = [];
+    src.forEach((i, a) => dst.forEach((j, b) => {
+      const a1 = coordKey(locations[i]), b1 = coordKey(locations[j]);
+      if (a1 === b1) return;
+      const record = { key: pairKey(a1, b1), duration: durations[a][b] ?? UNREACHABLE, distance: distances?.[a][b] ?? null };
+      pairCache.set(record.key, record);
+      records.push(record);
+    }));
+    writeCache(DURATION_STORE, records);
+  }));
+}
@@ -0,0 +1,53 @@
+// ============================================================
+// REGIONS
+// ============================================================
+// A region is the territory a rep works in. It biases geocoding towards that
+// area and decides where maps open:
+//   { id, name, suffix, countrycodes, viewbox: [west, south, east, north] | null, bounded, center: [lat, lng], zoom }
+// `suffix` is appended to every address ("Surat, Gujarat, India"); `bounded`
+// drops matches outside the viewbox instead of only preferring inside ones.
+// Several regions can be saved; one is active at a time.
+const CONFIG_KEY = "frp_regions";
+
+export const DEFAULT_REGION = {
+  id: "surat", name: "Surat", suffix: "Surat, Gujarat, India", countrycodes: "in",
+  viewbox: [72.7, 21.05, 72.97, 21.3], bounded: false, center: [21.17, 72.83], zoom: 12,
+};
+
+let config = loadRegionConfig();
+
+export function loadRegionConfig() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIG_KEY) || "null");
+    if (saved?.regions?.length) return saved;
+  } catch { /* fall through to the default */ }
+  return { active: DEFAULT_REGION.id, regions: [DEFAULT_REGION] };
+}
+
+export function getRegionConfig() {
+  return config;
+}
+
+export function setRegionConfig(next) {
+  config = next.regions.length ? next : { active: DEFAULT_REGION.id, regions: [DEFAULT_REGION] };
+  localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+  return config;
+}
+
+export const activeRegion = (cfg = config) => cfg.regions.find(r => r.id === cfg.active) || cfg.regions[0];
+
+// "west,south,east,north" → [w, s, e, n], or null when it isn't a valid box
+export function parseViewbox(text) {
+  const v = String(text || "").split(",").map(s => Number(s.trim()));
+  if (v.length !== 4 || v.some(isNaN)) return null;
+  const [w, s, e, n] = v;
+  return w < e && s < n && Math.abs(s) <= 90 && Math.abs(n) <= 90 ? v : null;
+}
+
+export const viewboxCenter = ([w, s, e, n]) => [(s + n) / 2, (w + e) / 2];
+
+// Zoom that roughly fits a box of this size on a phone screen
+export function zoomFor([w, s, e, n]) {
+  const span = Math.max(e - w, n - s);
+  return Math.max(5, Math.min(15, Math.round(Math.log2(360 / span))));
+}
@@ -0,0 +1,94 @@
+// ============================================================
+// REPORTS
+// ============================================================
+// Aggregates stored day plans over a date range. A stop counts as "missed"
+// only on days before today; future and today's unvisited stops are still open.
+import { startOfWeek, todayISO } from "./dates.js";
+import { OUTCOMES } from "./visits.js";
+import { csvText } from "./exporters.js";
+
+const SOLO = "__solo__";
+
+// Same customer or same shop across days: customer id, else name + address
+const stopKey = (l) => l.customerId ? `c:${l.customerId}` : `s:${(l.name || "").trim().toLowerCase()}|${(l.address || "").trim().toLowerCase()}`;
+
+const emptyTotals = () => ({ days: 0, planned: 0, visited: 0, missed: 0, km: 0, driveSec: 0, orderValue: 0, outcomes: Object.fromEntries(Object.keys(OUTCOMES).map(k => [k, 0])) });
+
+function add(t, day) {
+  t.days += day.planned ? 1 : 0;
+  t.planned += day.planned; t.visited += day.visited; t.missed += day.missed;
+  t.km += day.km; t.driveSec += day.driveSec; t.orderValue += day.orderValue;
+  Object.keys(t.outcomes).forEach(k => { t.outcomes[k] += day.outcomes[k] || 0; });
+  return t;
+}
+export const completion = (t) => t.planned ? t.visited / t.planned : 0;
+
+export function buildReport(days, { from, to }) {
+  const today = todayISO();
+  const inRange = days.filter(d => (!from || d.date >= from) && (!to || d.date <= to) && d.locations?.length).sort((a, b) => a.date.localeCompare(b.date));
+
+  const perDay = [], reps = {}, stops = {};
+  inRange.forEach(d => {
+    const past = d.date < today;
+    const day = { date: d.date, ...emptyTotals() };
+    d.locations.forEach(l => {
+      day.planned++;
+      if (l.visited) day.visited++;
+      else if (past) day.missed++;
+      const outcome = l.visit?.outcome;
+      if (outcome && outcome in day.outcomes) day.outcomes[outcome]++;
+      if (outcome === "order") day.orderValue += Number(l.visit.orderValue) || 0;
+
+      const key = stopKey(l);
+      const s = stops[key] || (stops[key] = { name: l.name, address: l.address, planned: 0, missed: 0, lastMissed: null });
+      if (past) {
+        s.planned++;
+        if (!l.visited) { s.missed++; s.lastMissed = d.date; }
+      }
+    });
+    day.km = (d.totalDist || 0) / 1000;
+    day.driveSec = d.totalTime || 0;
+    perDay.push(day);
+
+    // Per rep: team days split by route, single-rep days go to "Solo"
+    const routes = d.routes?.length ? d.routes : [{ repId: SOLO, name: "Solo", totalDist: d.totalDist, totalTime: d.totalTime }];
+    routes.forEach(r => {
+      const mine = d.locations.filter(l => r.repId === SOLO || l.repId === r.repId);
+      const rep = reps[r.repId] || (reps[r.repId] = { repId: r.repId, name: r.name, color: r.color, ...emptyTotals() });
+      add(rep, {
+        planned: mine.length,
+        visited: mine.filter(l => l.visited).length,
+        missed: past ? mine.filter(l => !l.visited).length : 0,
+        km: (r.totalDist || 0) / 1000,
+        driveSec: r.totalTime || 0,
+        orderValue: mine.reduce((sum, l) => sum + (l.visit?.outcome === "order" ? Number(l.visit.orderValue) || 0 : 0), 0),
+        outcomes: mine.reduce((o, l) => { if (l.visit?.outcome) o[l.visit.outcome] = (o[l.visit.outcome] || 0) + 1; return o; }, {}),
+      });
+    });
+  });
+
+  const weeks = {};
+  perDay.forEach(day => {
+    const week = startOfWeek(day.date);
+    add(weeks[week] || (weeks[week] = { week, ...emptyTotals() }), day);
+  });
+
+  return {
+    totals: perDay.reduce(add, emptyTotals()),
+    perDay,
+    perWeek: Object.values(weeks),
+    perRep: Object.values(reps),
+    // Planned on at least two past days and missed on most of them
+    skipped: Object.values(stops).filter(s => s.missed >= 2 && s.missed / s.planned >= 0.5).sort((a, b) => b.missed / b.planned - a.missed / a.planned || b.missed - a.missed),
+  };
+}
+
+export function reportCSV(report) {
+  const outcomeKeys = Object.keys(OUTCOMES);
+  const header = ["Date", "Planned", "Visited", "Missed", "Completion %", "Km", "Drive h", ...outcomeKeys.map(k => OUTCOMES[k].label), "Order value"];
+  const row = (label, t) => [
+    label, t.planned, t.visited, t.missed, Math.round(completion(t) * 100), t.km.toFixed(1), (t.driveSec / 3600).toFixed(2),
+    ...outcomeKeys.map(k => t.outcomes[k]), t.orderValue.toFixed(2),
+  ];
+  return csvText([header, ...report.perDay.map(d => row(d.date, d)), row("Total", report.totals)]);
+}
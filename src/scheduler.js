@@ -0,0 +1,121 @@
+// ============================================================
+// VISIT SCHEDULER
+// ============================================================
+// Fills upcoming days from the customer master list. Each customer is due
+// again `interval` days after their last visit; a visit may land within
+// `slack` days of that target, on one of their preferred weekdays. Among
+// the allowed days the scheduler picks the one that keeps stop counts and
+// drive time even while keeping nearby customers together.
+import { addDays, parseISODate, weekdayOf } from "./dates.js";
+import { solveRoute } from "./solver.js";
+
+export const FREQUENCIES = {
+  weekly: { label: "Weekly", interval: 7, slack: 2 },
+  fortnightly: { label: "Fortnightly", interval: 14, slack: 4 },
+  monthly: { label: "Monthly", interval: 28, slack: 7 },
+};
+
+// Each stop already on a day "costs" this many seconds of drive time when
+// comparing days, so a day with fewer stops wins unless it is far away.
+const STOP_WEIGHT = 900;
+
+const daysBetween = (a, b) => Math.round((parseISODate(b) - parseISODate(a)) / 86400000);
+
+// Most recent date a customer was visited (or planned, when includePlanned)
+export function lastVisitOf(customer, days, { before, includePlanned = false } = {}) {
+  let last = customer.lastVisited || null;
+  days.forEach(day => {
+    if (before && day.date >= before) return;
+    if (day.locations.some(l => l.customerId === customer.id && (includePlanned || l.visited)) && (!last || day.date > last)) last = day.date;
+  });
+  return last;
+}
+
+// Target dates for a customer inside [from, to]
+export function dueDates(customer, lastVisit, from, to) {
+  const { interval } = FREQUENCIES[customer.frequency] || FREQUENCIES.weekly;
+  let target = lastVisit ? addDays(lastVisit, interval) : from;
+  if (target < from) target = from;
+  const out = [];
+  while (target <= to) { out.push(target); target = addDays(target, interval); }
+  return out;
+}
+
+/**
+ * Plans visits for `customers` over `dates` (ascending working days).
+ *   days        existing day plans (used for last visits and current load)
+ *   matrix      durations between points; `pointOf(id)` gives the index of a
+ *               customer id, or of a stop id for stops already planned
+ *   startIndex  matrix index of the rep's start point, or null
+ *   maxStops    per-day cap including stops already planned
+ * Returns { assignments: { [date]: customerId[] }, skipped: [{ customer, target, reason }] }.
+ */
+export function planVisits({ customers, dates, days, matrix, pointOf, startIndex = null, maxStops = Infinity }) {
+  if (!dates.length) return { assignments: {}, skipped: [] };
+  const from = dates[0], to = dates[dates.length - 1];
+  const dayByDate = Object.fromEntries(days.map(d => [d.date, d]));
+
+  // Current load per date: matrix points already there and a rough drive time
+  const load = Object.fromEntries(dates.map(date => [date, { points: [], count: 0, drive: 0 }]));
+  dates.forEach(date => {
+    (dayByDate[date]?.locations || []).forEach(l => {
+      load[date].count++;
+      const idx = (l.customerId != null ? pointOf(l.customerId) : null) ?? pointOf(l.id);
+      if (idx != null) load[date].points.push(idx);
+    });
+  });
+
+  const visits = [];
+  const skipped = [];
+  customers.forEach(c => {
+    const { slack } = FREQUENCIES[c.frequency] || FREQUENCIES.weekly;
+    const planned = days.filter(d => d.date >= from && d.date <= to && d.locations.some(l => l.customerId === c.id)).map(d => d.date);
+    dueDates(c, lastVisitOf(c, days, { before: from, includePlanned: true }), from, to).forEach(target => {
+      // Already on a day close enough to this target
+      if (planned.some(p => Math.abs(daysBetween(p, target)) <= slack)) return;
+      const near = dates.filter(d => Math.abs(daysBetween(d, target)) <= slack);
+      const preferred = c.weekdays?.length ? near.filter(d => c.weekdays.includes(weekdayOf(d))) : near;
+      const candidates = preferred.length ? preferred : near;
+      if (!candidates.length) skipped.push({ customer: c, target, reason: "no working day near the due date" });
+      else visits.push({ customer: c, target, candidates });
+    });
+  });
+
+  // Most constrained visits first, then earliest due
+  visits.sort((a, b) => a.candidates.length - b.candidates.length || a.target.localeCompare(b.target));
+
+  const assignments = Object.fromEntries(dates.map(d => [d, []]));
+  const placed = {};
+  visits.forEach(({ customer, target, candidates }) => {
+    const p = pointOf(customer.id);
+    const { interval, slack } = FREQUENCIES[customer.frequency] || FREQUENCIES.weekly;
+    const mine = placed[customer.id] || (placed[customer.id] = []);
+    let best = null;
+    candidates.forEach(date => {
+      const day = load[date];
+      if (day.count >= maxStops) return;
+      // Two visits to the same customer stay at least interval − slack apart
+      if (mine.some(d => Math.abs(daysBetween(d, date)) < interval - slack)) return;
+      // Drive added by this stop ≈ hop from the nearest point already on that day
+      const anchors = day.points.length ? day.points : startIndex != null ? [startIndex] : [];
+      const hop = anchors.length ? Math.min(...anchors.map(a => Math.min(matrix[a][p], matrix[p][a]))) : 0;
+      const score = (day.count + 1) * STOP_WEIGHT + day.drive + hop + Math.abs(daysBetween(date, target)) * 60;
+      if (!best || score < best.score) best = { date, hop, score };
+    });
+    if (!best) { skipped.push({ customer, target, reason: "every nearby day is full" }); return; }
+    const day = load[best.date];
+    day.points.push(p); day.count++; day.drive += best.hop;
+    mine.push(best.date);
+    assignments[best.date].push(customer.id);
+  });
+
+  return { assignments, skipped };
+}
+
+// Drive time for one day's points, solved the same way optimizeRoute would
+export function estimateDayDrive(points, matrix, startIndex = null) {
+  if (!points.length) return 0;
+  const nodes = startIndex != null ? [startIndex, ...points.filter(p => p !== startIndex)] : points;
+  const sub = nodes.map(i => nodes.map(j => matrix[i][j]));
+  return solveRoute(sub, { start: startIndex != null ? 0 : null }).totalTime;
+}
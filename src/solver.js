@@ -0,0 +1,403 @@
+// ============================================================
+// ROUTE SOLVER
+// ============================================================
+// One solver for every endpoint combination the planner uses:
+//   open-end     start: null, end: null  – any first and last stop
+//   fixed-start  start: i,    end: null  – begins at i, ends anywhere
+//   fixed-end    start: null, end: j     – ends at j
+//   start+end    start: i,    end: j     – begins at i, ends at j
+//   round-trip   start: i,    roundTrip  – begins and ends at i
+// Routes are built with nearest neighbour and then improved with the same
+// local search (2-opt, Or-opt, relocate) regardless of which endpoints are set.
+
+// Cost per second of lateness, and a flat cost per stop that misses its window
+const LATE_PENALTY = 10;
+const MISS_PENALTY = 3600;
+const EPS = 1e-9;
+// Up to this many free stops every order is tried; above it local search takes over.
+const EXACT_LIMIT = 7;
+const SEARCH_SEEDS = 4;
+
+export const parseClock = (hhmm) => {
+  if (!hhmm) return null;
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return isNaN(h) ? null : h * 3600 + (m || 0) * 60;
+};
+
+export function buildWindows(locs) {
+  return locs.map(l => ({ open: parseClock(l.openTime), close: parseClock(l.closeTime), service: (Number(l.serviceMin) || 0) * 60 }));
+}
+
+export function hasWindows(windows) {
+  return !!windows && windows.some(w => w.open != null || w.close != null);
+}
+
+// Walks the sequence from departAt, waiting for stops that aren't open yet.
+// A stop is late when service can only start after its close time.
+export function scheduleRoute(seq, matrix, windows, departAt = 0) {
+  let t = departAt, travel = 0, lateness = 0, missed = 0;
+  const stops = seq.map((idx, pos) => {
+    if (pos > 0) { const leg = matrix[seq[pos - 1]][idx]; t += leg; travel += leg; }
+    const w = (windows && windows[idx]) || {};
+    const arrival = t;
+    if (w.open != null && t < w.open) t = w.open;
+    const late = w.close != null && t > w.close;
+    if (late) { lateness += t - w.close; missed++; }
+    const start = t;
+    t += w.service || 0;
+    return { arrival, start, depart: t, late };
+  });
+  const cost = (t - departAt) + lateness * LATE_PENALTY + missed * MISS_PENALTY;
+  return { stops, travel, end: t, lateness, missed, cost };
+}
+
+export function pathTime(seq, matrix) {
+  let total = 0;
+  for (let i = 0; i < seq.length - 1; i++) total += matrix[seq[i]][seq[i + 1]];
+  return total;
+}
+
+// Greedy chain through pool, starting from pool[0]
+function nearestNeighbour(pool, matrix) {
+  const seq = [pool[0]];
+  const left = new Set(pool.slice(1));
+  let cur = pool[0];
+  while (left.size) {
+    let near = -1, nearD = Infinity;
+    for (const j of left) if (matrix[cur][j] < nearD) { nearD = matrix[cur][j]; near = j; }
+    seq.push(near); left.delete(near); cur = near;
+  }
+  return seq;
+}
+
+// Heap's algorithm over the free stops, scoring each full sequence
+function exhaustive(items, build, costFn) {
+  const a = [...items], c = new Array(a.length).fill(0);
+  let best = build(a), bestCost = costFn(best);
+  let i = 1;
+  while (i < a.length) {
+    if (c[i] < i) {
+      const k = i % 2 ? c[i] : 0;
+      [a[k], a[i]] = [a[i], a[k]];
+      const seq = build(a), cost = costFn(seq);
+      if (cost < bestCost - EPS) { best = seq; bestCost = cost; }
+      c[i]++; i = 1;
+    } else { c[i] = 0; i++; }
+  }
+  return best;
+}
+
+// Repeats 2-opt, Or-opt (segments of 2–3, either direction) and relocate over
+// positions lo..hi-1 until none of them lowers the cost. Positions outside
+// that range hold the fixed endpoints and never move.
+export function localSearch(seq, costFn, lo, hi) {
+  let best = [...seq];
+  let bestCost = costFn(best);
+  const tryMove = (cand) => {
+    const c = costFn(cand);
+    if (c < bestCost - EPS) { best = cand; bestCost = c; return true; }
+    return false;
+  };
+  let improved = true;
+  while (improved) {
+    improved = false;
+    // 2-opt: reverse best[i..j]
+    for (let i = lo; i < hi - 1; i++) {
+      for (let j = i + 1; j < hi; j++) {
+        if (tryMove([...best.slice(0, i), ...best.slice(i, j + 1).reverse(), ...best.slice(j + 1)])) improved = true;
+      }
+    }
+    // relocate (len 1) and Or-opt (len 2–3): move a segment elsewhere
+    for (let len = 1; len <= 3; len++) {
+      for (let i = lo; i + len <= hi; i++) {
+        const seg = best.slice(i, i + len);
+        const rest = [...best.slice(0, i), ...best.slice(i + len)];
+        for (let k = lo; k <= hi - len; k++) {
+          if (k === i) continue;
+          if (tryMove([...rest.slice(0, k), ...seg, ...rest.slice(k)])) { improved = true; break; }
+          if (len > 1 && tryMove([...rest.slice(0, k), ...[...seg].reverse(), ...rest.slice(k)])) { improved = true; break; }
+        }
+      }
+    }
+  }
+  return best;
+}
+
+// ============================================================
+// MANUAL CONSTRAINTS
+// ============================================================
+// Locked chains travel as one unit in their given order. A pinned stop (or the
+// chain containing it) is placed so it starts at its pinned position among the
+// middle stops; the free units fill the remaining slots in search order.
+const PIN_PENALTY = 100000;
+
+function buildUnits(middle, pins, chains) {
+  const inMiddle = new Set(middle);
+  const taken = new Set();
+  const groups = [];
+  chains.forEach(chain => {
+    const nodes = chain.filter(i => inMiddle.has(i) && !taken.has(i));
+    if (nodes.length < 2) return;
+    nodes.forEach(i => taken.add(i));
+    groups.push(nodes);
+  });
+  middle.forEach(i => { if (!taken.has(i)) groups.push([i]); });
+
+  const pinAt = new Map(pins.filter(p => inMiddle.has(p.node)).map(p => [p.node, p.pos]));
+  const free = [], fixed = [];
+  groups.forEach(nodes => {
+    const k = nodes.findIndex(i => pinAt.has(i));
+    if (k < 0) free.push(nodes);
+    else fixed.push({ nodes, pos: Math.max(0, pinAt.get(nodes[k]) - k) });
+  });
+  fixed.sort((a, b) => a.pos - b.pos);
+  return { free, fixed };
+}
+
+// Lays free units around the fixed ones. `shift` totals how far fixed units
+// were pushed past their position by a chain that could not be split.
+function placeUnits(freeUnits, fixed) {
+  const mid = [];
+  let f = 0, shift = 0;
+  const flush = (all) => {
+    while (f < fixed.length && (all || fixed[f].pos <= mid.length)) {
+      if (!all || fixed[f].pos <= mid.length) shift += mid.length - fixed[f].pos;
+      mid.push(...fixed[f].nodes); f++;
+    }
+  };
+  freeUnits.forEach(u => { flush(false); mid.push(...u); });
+  flush(false);
+  // Positions past the end of the route just mean "last"
+  flush(true);
+  return { mid, shift };
+}
+
+/**
+ * Orders the nodes of a duration matrix.
+ *   pins    [{ node, pos }]: node must be the pos-th middle stop (0-based)
+ *   chains  [[node, ...]]: nodes visited back-to-back in this order
+ * Returns { order, totalTime, schedule }; for round trips `order` does not
+ * repeat the start but totalTime and schedule include the leg back to it.
+ */
+export function solveRoute(matrix, { start = null, end = null, roundTrip = false, windows = null, departAt = 0, pins = [], chains = [] } = {}) {
+  const n = matrix.length;
+  if (roundTrip && start == null) throw new Error("Round trip needs a start point");
+  const closing = roundTrip ? start : end;
+  const middle = [...Array(n).keys()].filter(i => i !== start && i !== closing);
+  const timed = hasWindows(windows);
+
+  // The search permutes indices into `units`; everything else is derived from that
+  const { free: units, fixed } = buildUnits(middle, pins, chains);
+  const head = start != null ? [start] : [];
+  const wrap = (seq) => closing != null && !(roundTrip && n === 1) ? [...seq, closing] : seq;
+  const seqCost = timed
+    ? (seq) => scheduleRoute(seq, matrix, windows, departAt).cost
+    : (seq) => pathTime(seq, matrix);
+  const expand = (perm) => placeUnits(perm.map(u => units[u]), fixed);
+  const costFn = (perm) => {
+    const { mid, shift } = expand(perm);
+    return seqCost(wrap([...head, ...mid])) + shift * PIN_PENALTY;
+  };
+
+  const ids = [...units.keys()];
+  if (ids.length <= EXACT_LIMIT) return finish(exhaustive(ids, (p) => [...p], costFn));
+
+  // One nearest-neighbour seed per possible first unit, hopping last node → first node
+  const hop = units.map(a => units.map(b => matrix[a[a.length - 1]][b[0]]));
+  const seeds = ids.map(s => nearestNeighbour([s, ...ids.filter(j => j !== s)], hop));
+  if (timed) {
+    const deadline = (u) => windows[units[u][0]].close ?? Infinity;
+    const opens = (u) => windows[units[u][0]].open ?? 0;
+    seeds.push([...ids].sort((a, b) => deadline(a) - deadline(b) || opens(a) - opens(b)));
+  }
+
+  // Only the most promising seeds get the full local search.
+  const ranked = seeds.sort((a, b) => costFn(a) - costFn(b)).slice(0, SEARCH_SEEDS);
+  let best = null, bestCost = Infinity;
+  for (const seed of ranked) {
+    const improvedPerm = localSearch(seed, costFn, 0, seed.length);
+    const c = costFn(improvedPerm);
+    if (c < bestCost) { best = improvedPerm; bestCost = c; }
+  }
+
+  return finish(best);
+
+  function finish(perm) {
+    const seq = wrap([...head, ...expand(perm).mid]);
+    const schedule = scheduleRoute(seq, matrix, windows, departAt);
+    const order = roundTrip && seq.length > 1 ? seq.slice(0, -1) : seq;
+    return { order, totalTime: pathTime(seq, matrix), schedule };
+  }
+}
+
+// ============================================================
+// MULTI-VEHICLE
+// ============================================================
+/**
+ * Splits `stops` (node indices) across vehicles and orders each route.
+ * A vehicle is { start, end, roundTrip, maxStops, maxDuration } with start/end
+ * as node indices or null; maxDuration is seconds from departAt including
+ * service and waiting time. Stops no vehicle can take are returned in
+ * `unassigned` rather than forced onto a route.
+ */
+export function solveVRP(matrix, { vehicles, stops, windows = null, departAt = 0 }) {
+  const frame = vehicles.map(v => ({
+    head: v.start != null ? [v.start] : [],
+    tail: v.roundTrip && v.start != null ? [v.start] : v.end != null ? [v.end] : [],
+  }));
+  const seqOf = (k, mid) => [...frame[k].head, ...mid, ...frame[k].tail];
+  // An idle vehicle costs nothing; limits make a route infeasible rather than expensive
+  const routeCost = (k, mid) => {
+    if (!mid.length) return 0;
+    const v = vehicles[k];
+    if (v.maxStops != null && mid.length > v.maxStops) return Infinity;
+    const sch = scheduleRoute(seqOf(k, mid), matrix, windows, departAt);
+    if (v.maxDuration != null && sch.end - departAt > v.maxDuration) return Infinity;
+    return sch.cost;
+  };
+  const bestInsertion = (k, mid, s, base) => {
+    let best = { delta: Infinity, pos: -1 };
+    for (let p = 0; p <= mid.length; p++) {
+      const delta = routeCost(k, [...mid.slice(0, p), s, ...mid.slice(p)]) - base;
+      if (delta < best.delta) best = { delta, pos: p };
+    }
+    return best;
+  };
+
+  const mids = vehicles.map(() => []);
+  const costs = vehicles.map(() => 0);
+  const unassigned = [];
+
+  // Regret-2 insertion: place first the stop that loses most by not getting its best vehicle
+  const pending = new Set(stops);
+  while (pending.size) {
+    let pick = null;
+    for (const s of pending) {
+      const options = vehicles.map((_, k) => ({ k, ...bestInsertion(k, mids[k], s, costs[k]) })).sort((a, b) => a.delta - b.delta);
+      if (options[0].delta === Infinity) { pick = { s, k: -1 }; break; }
+      const regret = (options[1]?.delta ?? Infinity) - options[0].delta;
+      if (!pick || regret > pick.regret || (regret === pick.regret && options[0].delta < pick.delta))
+        pick = { s, regret, ...options[0] };
+    }
+    pending.delete(pick.s);
+    if (pick.k < 0) { unassigned.push(pick.s); continue; }
+    mids[pick.k].splice(pick.pos, 0, pick.s);
+    costs[pick.k] += pick.delta;
+  }
+
+  // Alternate intra-route local search with moving stops between routes
+  let improved = true;
+  while (improved) {
+    improved = false;
+    mids.forEach((mid, k) => {
+      if (mid.length < 2) return;
+      mids[k] = localSearch(mid, (seq) => routeCost(k, seq), 0, mid.length);
+      costs[k] = routeCost(k, mids[k]);
+    });
+    for (let k = 0; k < vehicles.length; k++) {
+      for (let i = 0; i < mids[k].length; i++) {
+        const s = mids[k][i];
+        const without = [...mids[k].slice(0, i), ...mids[k].slice(i + 1)];
+        const saving = costs[k] - routeCost(k, without);
+        for (let k2 = 0; k2 < vehicles.length; k2++) {
+          if (k2 === k) continue;
+          const ins = bestInsertion(k2, mids[k2], s, costs[k2]);
+          if (ins.delta < saving - EPS) {
+            mids[k] = without; costs[k] = routeCost(k, without);
+            mids[k2].splice(ins.pos, 0, s); costs[k2] += ins.delta;
+            improved = true; i--;
+            break;
+          }
+        }
+      }
+    }
+    // Room freed up by the moves above may now fit a leftover stop
+    for (let u = unassigned.length - 1; u >= 0; u--) {
+      const options = vehicles.map((_, k) => ({ k, ...bestInsertion(k, mids[k], unassigned[u], costs[k]) })).sort((a, b) => a.delta - b.delta);
+      if (options[0].delta === Infinity) continue;
+      mids[options[0].k].splice(options[0].pos, 0, unassigned[u]);
+      costs[options[0].k] += options[0].delta;
+      unassigned.splice(u, 1);
+      improved = true;
+    }
+  }
+
+  const routes = mids.map((mid, k) => {
+    const seq = mid.length ? seqOf(k, mid) : [];
+    const order = vehicles[k].roundTrip && seq.length > 1 ? seq.slice(0, -1) : seq;
+    return { order, stops: mid, totalTime: pathTime(seq, matrix), schedule: scheduleRoute(seq, matrix, windows, departAt) };
+  });
+  return { routes, unassigned };
+}
+
+// ============================================================
+// OPTIONAL STOPS
+// ============================================================
+/**
+ * Prize-collecting variant of solveRoute. prizes[i] is what visiting node i
+ * is worth in seconds of route time (Infinity: must visit). A stop is dropped
+ * when leaving it out saves more than its prize, and, with a `budget` (seconds
+ * from departAt until the route ends), the stops giving the least value per
+ * second saved go until the route fits. Start/end, pinned and chained nodes
+ * always stay. Takes the solveRoute options and returns its result plus
+ * dropped: [{ node, reason: "detour" | "window" | "budget", saving }].
+ */
+export function solveOptional(matrix, { prizes, budget = null, ...opts }) {
+  const { start = null, end = null, roundTrip = false, windows = null, departAt = 0, pins = [], chains = [] } = opts;
+  const kept = new Set([start, end, ...pins.map(p => p.node), ...chains.flat()]);
+  const optional = (i) => !kept.has(i) && prizes[i] !== Infinity;
+
+  // solveRoute on a subset of the nodes, mapped back to the full matrix
+  const solveSubset = (keep) => {
+    const at = new Map(keep.map((i, k) => [i, k]));
+    const r = solveRoute(keep.map(i => keep.map(j => matrix[i][j])), {
+      start: start != null ? at.get(start) : null, end: end != null ? at.get(end) : null, roundTrip, departAt,
+      windows: windows && keep.map(i => windows[i]),
+      pins: pins.filter(p => at.has(p.node)).map(p => ({ node: at.get(p.node), pos: p.pos })),
+      chains: chains.map(c => c.filter(i => at.has(i)).map(i => at.get(i))),
+    });
+    const order = r.order.map(k => keep[k]);
+    return { ...r, order, seq: roundTrip && order.length > 1 ? [...order, start] : order };
+  };
+  const run = (seq) => scheduleRoute(seq, matrix, windows, departAt);
+  const over = (sch) => budget != null && sch.end - departAt > budget;
+
+  let keep = [...matrix.keys()];
+  let route = solveSubset(keep);
+  const dropped = [];
+  for (;;) {
+    const cur = run(route.seq), tight = over(cur);
+    let pick = null;
+    route.seq.forEach((i, pos) => {
+      if (!optional(i)) return;
+      const saving = cur.cost - run([...route.seq.slice(0, pos), ...route.seq.slice(pos + 1)]).cost;
+      // Over budget: least value lost per second freed; otherwise: biggest net gain
+      const score = tight ? saving / Math.max(prizes[i], 1) : saving - prizes[i];
+      if (!pick || score > pick.score) pick = { node: i, saving, score, late: cur.stops[pos].late };
+    });
+    if (!pick || (!tight && pick.score <= EPS)) break;
+    const reason = pick.saving > prizes[pick.node] ? (pick.late ? "window" : "detour") : "budget";
+    dropped.push({ node: pick.node, reason, saving: pick.saving });
+    keep = keep.filter(i => i !== pick.node);
+    route = solveSubset(keep);
+  }
+
+  // Re-optimizing may have made room: offer each dropped stop back once, most valuable first
+  [...dropped].sort((a, b) => prizes[b.node] - prizes[a.node]).forEach(d => {
+    const cur = run(route.seq);
+    const lo = start != null ? 1 : 0, hi = route.seq.length - (roundTrip || end != null ? 1 : 0);
+    let best = Infinity;
+    for (let p = lo; p <= hi; p++) {
+      const sch = run([...route.seq.slice(0, p), d.node, ...route.seq.slice(p)]);
+      if (!over(sch)) best = Math.min(best, sch.cost - cur.cost);
+    }
+    if (best >= prizes[d.node] - EPS) return;
+    const next = solveSubset([...keep, d.node]);
+    if (over(run(next.seq))) return;
+    keep = [...keep, d.node];
+    route = next;
+    dropped.splice(dropped.indexOf(d), 1);
+  });
+
+  return { order: route.order, totalTime: route.totalTime, schedule: route.schedule, dropped };
+}
@@ -0,0 +1,171 @@
+import { describe, it, expect } from "vitest";
+import { solveRoute, solveOptional, solveVRP, scheduleRoute, pathTime } from "./solver.js";
+
+// Deterministic pseudo-random matrices (mulberry32)
+function rng(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Road-like matrix: straight-line distance between random points, stretched a little per direction
+function randomMatrix(n, seed) {
+  const rand = rng(seed);
+  const pts = Array.from({ length: n }, () => [rand() * 5000, rand() * 5000]);
+  return pts.map((a, i) => pts.map((b, j) => i === j ? 0 : Math.round(Math.hypot(a[0] - b[0], a[1] - b[1]) * (1 + rand() * 0.3))));
+}
+
+function permutations(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((x, i) => permutations([...items.slice(0, i), ...items.slice(i + 1)]).map(p => [x, ...p]));
+}
+
+// Held-Karp: exact best total time over every order of the middle nodes
+function optimum(matrix, { start = null, end = null, roundTrip = false }) {
+  const closing = roundTrip ? start : end;
+  const middle = [...matrix.keys()].filter(i => i !== start && i !== closing);
+  const m = middle.length;
+  if (!m) return pathTime([...(start != null ? [start] : []), ...(closing != null ? [closing] : [])], matrix);
+  // best[mask][j]: cheapest path through the middle nodes in mask, ending at middle[j]
+  const best = Array.from({ length: 1 << m }, () => new Array(m).fill(Infinity));
+  middle.forEach((v, j) => { best[1 << j][j] = start != null ? matrix[start][v] : 0; });
+  for (let mask = 1; mask < 1 << m; mask++) {
+    for (let j = 0; j < m; j++) {
+      if (best[mask][j] === Infinity) continue;
+      for (let k = 0; k < m; k++) {
+        if (mask & (1 << k)) continue;
+        const next = mask | (1 << k), cost = best[mask][j] + matrix[middle[j]][middle[k]];
+        if (cost < best[next][k]) best[next][k] = cost;
+      }
+    }
+  }
+  return Math.min(...middle.map((v, j) => best[(1 << m) - 1][j] + (closing != null ? matrix[v][closing] : 0)));
+}
+
+const MODES = {
+  "open-end": () => ({}),
+  "fixed-start": () => ({ start: 0 }),
+  "fixed-end": (n) => ({ end: n - 1 }),
+  "start+end": (n) => ({ start: 0, end: n - 1 }),
+  "round-trip": () => ({ start: 0, roundTrip: true }),
+};
+
+describe("solveRoute", () => {
+  Object.entries(MODES).forEach(([mode, opts]) => {
+    it(`finds the optimum for ${mode} up to 8 nodes`, () => {
+      for (let n = 2; n <= 8; n++) {
+        for (let seed = 1; seed <= 6; seed++) {
+          const matrix = randomMatrix(n, n * 100 + seed);
+          const o = opts(n);
+          const { order, totalTime } = solveRoute(matrix, o);
+          expect(totalTime).toBe(optimum(matrix, o));
+          expect([...order].sort((a, b) => a - b)).toEqual([...Array(n).keys()]);
+          if (o.start != null) expect(order[0]).toBe(o.start);
+          if (o.end != null) expect(order[order.length - 1]).toBe(o.end);
+        }
+      }
+    });
+
+    // 8+ free stops: past EXACT_LIMIT, so this exercises the local search
+    it(`stays within 5% of the optimum for ${mode} with 10-12 nodes`, () => {
+      let exact = 0;
+      for (let n = 10; n <= 12; n++) {
+        for (let seed = 1; seed <= 10; seed++) {
+          const matrix = randomMatrix(n, n * 1000 + seed);
+          const o = opts(n);
+          const { order, totalTime } = solveRoute(matrix, o);
+          const best = optimum(matrix, o);
+          expect(totalTime).toBeLessThanOrEqual(best * 1.05);
+          expect([...order].sort((a, b) => a - b)).toEqual([...Array(n).keys()]);
+          if (o.start != null) expect(order[0]).toBe(o.start);
+          if (o.end != null) expect(order[order.length - 1]).toBe(o.end);
+          if (totalTime === best) exact++;
+        }
+      }
+      expect(exact).toBeGreaterThanOrEqual(25);
+    });
+  });
+
+  it("matches brute force on schedule cost with time windows", () => {
+    for (let seed = 1; seed <= 10; seed++) {
+      const matrix = randomMatrix(6, 900 + seed);
+      const rand = rng(seed);
+      const windows = matrix.map((_, i) => i === 0 ? {} : { open: 9 * 3600 + Math.round(rand() * 3600), close: 10 * 3600 + Math.round(rand() * 7200), service: 600 });
+      const { schedule } = solveRoute(matrix, { start: 0, windows, departAt: 9 * 3600 });
+      const best = Math.min(...permutations([1, 2, 3, 4, 5]).map(p => scheduleRoute([0, ...p], matrix, windows, 9 * 3600).cost));
+      expect(schedule.cost).toBeCloseTo(best, 6);
+    }
+  });
+
+  it("keeps pinned stops at their position", () => {
+    const matrix = randomMatrix(7, 42);
+    const { order } = solveRoute(matrix, { start: 0, pins: [{ node: 5, pos: 0 }, { node: 2, pos: 4 }] });
+    expect(order[1]).toBe(5);
+    expect(order[5]).toBe(2);
+  });
+
+  it("visits chained stops back to back in their order", () => {
+    const matrix = randomMatrix(8, 7);
+    const { order } = solveRoute(matrix, { start: 0, end: 7, chains: [[6, 1, 4]] });
+    const at = order.indexOf(6);
+    expect(order.slice(at, at + 3)).toEqual([6, 1, 4]);
+  });
+});
+
+describe("solveOptional", () => {
+  // Stops on a line 10 minutes apart, plus node 8 far off to the side
+  const xs = [0, 1, 2, 3, 4, 5, 6, 7, 20].map(v => v * 600);
+  const matrix = xs.map(a => xs.map(b => Math.abs(a - b)));
+  const windows = xs.map((_, i) => ({ service: i === 0 || i === 7 ? 0 : 600 }));
+  const prizes = [Infinity, 3600, 3600, 3600, 900, 900, Infinity, Infinity, 1800];
+
+  it("drops a stop whose detour costs more than it is worth", () => {
+    const { order, dropped } = solveOptional(matrix, { prizes, start: 0, end: 7, windows });
+    expect(dropped).toEqual([expect.objectContaining({ node: 8, reason: "detour" })]);
+    expect(order).not.toContain(8);
+  });
+
+  it("drops the least valuable stops to fit the budget and keeps must-visit ones", () => {
+    // Full route: 70 min driving + 60 min at stops; 110 min leaves room for four of the six
+    const budget = 110 * 60;
+    const { order, schedule, dropped } = solveOptional(matrix, { prizes, start: 0, end: 7, windows, budget });
+    expect(schedule.end).toBeLessThanOrEqual(budget);
+    expect(order).toEqual(expect.arrayContaining([0, 6, 7]));
+    const budgetDrops = dropped.filter(d => d.reason === "budget").map(d => d.node);
+    expect(budgetDrops.sort()).toEqual([4, 5]);
+  });
+
+  it("keeps every stop when nothing is worth dropping", () => {
+    const { order, dropped } = solveOptional(matrix, { prizes: prizes.map(() => Infinity), start: 0, end: 7, windows, budget: 600 });
+    expect(dropped).toEqual([]);
+    expect(order).toHaveLength(9);
+  });
+});
+
+describe("solveVRP", () => {
+  const matrix = randomMatrix(9, 3);
+  const stops = [1, 2, 3, 4, 5, 6, 7];
+
+  it("assigns every stop once across vehicles", () => {
+    const { routes, unassigned } = solveVRP(matrix, { vehicles: [{ start: 0, end: 0 }, { start: 8, end: 8 }], stops });
+    expect(unassigned).toEqual([]);
+    expect(routes.flatMap(r => r.stops).sort((a, b) => a - b)).toEqual(stops);
+  });
+
+  it("leaves stops beyond maxStops unassigned", () => {
+    const { routes, unassigned } = solveVRP(matrix, { vehicles: [{ start: 0, maxStops: 2 }, { start: 8, maxStops: 3 }], stops });
+    expect(routes[0].stops.length).toBeLessThanOrEqual(2);
+    expect(routes[1].stops.length).toBeLessThanOrEqual(3);
+    expect(unassigned).toHaveLength(2);
+    expect([...routes.flatMap(r => r.stops), ...unassigned].sort((a, b) => a - b)).toEqual(stops);
+  });
+
+  it("respects maxDuration", () => {
+    const { routes, unassigned } = solveVRP(matrix, { vehicles: [{ start: 0, maxDuration: 3000 }], stops });
+    expect(routes[0].schedule.end).toBeLessThanOrEqual(3000);
+    expect(routes[0].stops.length + unassigned.length).toBe(stops.length);
+  });
+});
@@ -0,0 +1,67 @@
+// ============================================================
+// SYNC
+// ============================================================
+// Optional two-way sync of day plans and customers with a REST endpoint:
+//   GET  {baseUrl}/changes?since=<cursor>      → { days, customers, cursor }
+//   POST {baseUrl}/changes { deviceId, days, customers } → { cursor }
+// The server keeps the newer copy of each record by updatedAt (the same rule
+// as backup merge) and returns the records stored after `since`. The cursor
+// is opaque to the client; an empty one means "everything". Photos and
+// settings stay on the device. scripts/sync-mock-server.js implements this.
+import { loadAllDays, saveDay, getAllRecords, putRecord, CUSTOMER_STORE } from "./db.js";
+import { pickNewer } from "./backup.js";
+
+export const DEFAULT_SYNC = { enabled: false, baseUrl: "", token: "", intervalMin: 5, cursor: "", pushedAt: "", lastSync: null, deviceId: null };
+const TIMEOUT_MS = 15000;
+
+export function loadSyncConfig() {
+  let cfg;
+  try { cfg = { ...DEFAULT_SYNC, ...JSON.parse(localStorage.getItem("frp_sync") || "{}") }; }
+  catch { cfg = { ...DEFAULT_SYNC }; }
+  if (!cfg.deviceId) cfg = saveSyncConfig({ ...cfg, deviceId: crypto.randomUUID() });
+  return cfg;
+}
+export function saveSyncConfig(cfg) {
+  localStorage.setItem("frp_sync", JSON.stringify(cfg));
+  return cfg;
+}
+
+async function request(cfg, path, body) {
+  const res = await fetch(`${cfg.baseUrl.replace(/\/+$/, "")}${path}`, {
+    method: body ? "POST" : "GET",
+    headers: { "Content-Type": "application/json", ...(cfg.token ? { Authorization: `Bearer ${cfg.token}` } : {}) },
+    body: body ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  }).catch(e => { throw new Error(e.name === "TimeoutError" ? "Sync server timed out" : "Sync server unreachable"); });
+  if (!res.ok) throw new Error(`Sync failed: HTTP ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Pulls remote changes, keeps the newer copy of each record, then pushes
+ * everything edited here since the last push. Returns what changed locally
+ * ({ days, customers } counts) and how many records were pushed.
+ */
+export async function syncNow() {
+  const cfg = loadSyncConfig();
+  if (!cfg.baseUrl) throw new Error("Set a sync server URL first");
+  const startedAt = new Date().toISOString();
+
+  const pulled = await request(cfg, `/changes?since=${encodeURIComponent(cfg.cursor || "")}`);
+  const [localDays, localCustomers] = await Promise.all([loadAllDays(), getAllRecords(CUSTOMER_STORE)]);
+  const inDays = pickNewer(localDays, pulled.days || [], "date");
+  const inCustomers = pickNewer(localCustomers, pulled.customers || [], "id");
+  for (const d of inDays) await saveDay(d);
+  for (const c of inCustomers) await putRecord(CUSTOMER_STORE, c);
+
+  // Skip records the server just sent; they are already the server's copy
+  const fresh = (r, incoming, key) => r.updatedAt && r.updatedAt > (cfg.pushedAt || "") && !incoming.some(x => x[key] === r[key]);
+  const outDays = localDays.filter(d => fresh(d, inDays, "date"));
+  const outCustomers = localCustomers.filter(c => fresh(c, inCustomers, "id"));
+  if (outDays.length || outCustomers.length)
+    await request(cfg, "/changes", { deviceId: cfg.deviceId, days: outDays, customers: outCustomers });
+
+  // Pull cursor, not push cursor: changes other devices made while we pushed are fetched next time
+  saveSyncConfig({ ...loadSyncConfig(), cursor: pulled.cursor ?? cfg.cursor, pushedAt: startedAt, lastSync: new Date().toISOString() });
+  return { days: inDays.length, customers: inCustomers.length, pushed: outDays.length + outCustomers.length };
+}
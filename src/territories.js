@@ -0,0 +1,34 @@
+// ============================================================
+// TERRITORIES
+// ============================================================
+// Named areas drawn on the map: { id, name, polygon: [[lat, lng], ...] }.
+// The active one filters the customer list and the map's customer layer;
+// `active: null` shows every customer.
+const CONFIG_KEY = "frp_territories";
+
+export function loadTerritories() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIG_KEY) || "null");
+    if (saved?.territories) return saved;
+  } catch { /* fall through to none */ }
+  return { active: null, territories: [] };
+}
+
+export function saveTerritories(cfg) {
+  localStorage.setItem(CONFIG_KEY, JSON.stringify(cfg));
+  return cfg;
+}
+
+export const activeTerritory = (cfg) => cfg.territories.find(t => t.id === cfg.active) || null;
+
+// Ray casting; at city scale lat/lng can be treated as flat
+export function pointInPolygon({ lat, lng }, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [yi, xi] = polygon[i], [yj, xj] = polygon[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export const inTerritory = (p, territory) => !territory || (p.lat != null && pointInPolygon(p, territory.polygon));
@@ -0,0 +1,80 @@
+// ============================================================
+// LIVE TRACKING
+// ============================================================
+// Opt-in geolocation. A tracker is fed every fix and reports two things:
+//   arrivedAt  id of a stop the rep has stayed near for `dwellMin` minutes
+//   offPlan    the rep is not following the plan: they arrived somewhere other
+//              than the next planned stop, or have been more than `offRouteM`
+//              from the route path for `offRouteMin` minutes
+import { haversine } from "./providers.js";
+
+export const DEFAULT_TRACKING = { radius: 75, dwellMin: 3, offRouteM: 300, offRouteMin: 2, autoReroute: true };
+
+export function loadTrackingConfig() {
+  try { return { ...DEFAULT_TRACKING, ...JSON.parse(localStorage.getItem("frp_tracking") || "{}") }; }
+  catch { return { ...DEFAULT_TRACKING }; }
+}
+export function saveTrackingConfig(cfg) {
+  localStorage.setItem("frp_tracking", JSON.stringify(cfg));
+  return cfg;
+}
+
+export function watchPosition(onFix, onError) {
+  if (!navigator.geolocation) throw new Error("Location is not available on this device");
+  const id = navigator.geolocation.watchPosition(
+    p => onFix({ lat: p.coords.latitude, lng: p.coords.longitude, accuracy: p.coords.accuracy, at: p.timestamp }),
+    e => onError(new Error(e.code === e.PERMISSION_DENIED ? "Location permission denied" : e.message)),
+    { enableHighAccuracy: true, maximumAge: 10000, timeout: 30000 },
+  );
+  return () => navigator.geolocation.clearWatch(id);
+}
+
+// Metres from a point to a [lat, lng] polyline, on a local flat projection
+export function distanceToPath(p, path) {
+  if (!path?.length) return Infinity;
+  const kx = 111320 * Math.cos((p.lat * Math.PI) / 180), ky = 110540;
+  const xy = ([lat, lng]) => [(lng - p.lng) * kx, (lat - p.lat) * ky];
+  let best = Infinity;
+  let [ax, ay] = xy(path[0]);
+  if (path.length === 1) return Math.hypot(ax, ay);
+  for (let i = 1; i < path.length; i++) {
+    const [bx, by] = xy(path[i]);
+    const dx = bx - ax, dy = by - ay, len = dx * dx + dy * dy;
+    const t = len ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len)) : 0;
+    best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+    ax = bx; ay = by;
+  }
+  return best;
+}
+
+export function createTracker(cfg) {
+  let dwell = null;      // { id, since, reported }
+  let offSince = null;
+  return {
+    // stops: unvisited stops near which an arrival counts; next: the next
+    // planned stop (or null when not optimized); path: the planned road path
+    update(fix, { stops, next, path }) {
+      // Poor fixes widen the radius a little, never more than 50 m
+      const reach = cfg.radius + Math.min(fix.accuracy || 0, 50);
+      const near = stops
+        .map(s => ({ s, d: haversine(fix, s) }))
+        .filter(x => x.d <= reach)
+        .sort((a, b) => a.d - b.d)[0]?.s;
+
+      let arrivedAt = null, offPlan = false;
+      if (!near) dwell = null;
+      else if (dwell?.id !== near.id) dwell = { id: near.id, since: fix.at, reported: false };
+      else if (!dwell.reported && fix.at - dwell.since >= cfg.dwellMin * 60000) {
+        dwell.reported = true;
+        arrivedAt = near.id;
+        if (next && next.id !== near.id) offPlan = true;
+      }
+
+      if (near || !path?.length || distanceToPath(fix, path) <= cfg.offRouteM) offSince = null;
+      else if (offSince == null) offSince = fix.at;
+      else if (fix.at - offSince >= cfg.offRouteMin * 60000) { offPlan = true; offSince = null; }
+
+      return { arrivedAt, offPlan };
+    },
+  };
+}
@@ -0,0 +1,42 @@
+// ============================================================
+// DRAG REORDER
+// ============================================================
+// Pointer-based list reordering; unlike HTML5 drag and drop it works with
+// touch. Draggable rows carry data-drag-id inside `containerRef`; the handle
+// gets handleProps(id). Dropping calls onMove(id, toIndex) with the index the
+// item should end up at.
+import { useState } from "react";
+
+export function useDragReorder(containerRef, onMove) {
+  const [drag, setDrag] = useState(null); // { id, from, over }
+
+  const rows = () => [...(containerRef.current?.querySelectorAll("[data-drag-id]") || [])];
+  // Insertion point: before the first row whose middle is below the pointer
+  const slotAt = (y) => {
+    const i = rows().findIndex(el => { const r = el.getBoundingClientRect(); return y < r.top + r.height / 2; });
+    return i < 0 ? rows().length : i;
+  };
+
+  const handleProps = (id) => ({
+    onPointerDown: (e) => {
+      e.preventDefault();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      const from = rows().findIndex(el => el.dataset.dragId === id);
+      setDrag({ id, from, over: from });
+    },
+    onPointerMove: (e) => {
+      if (drag?.id !== id) return;
+      const over = slotAt(e.clientY);
+      if (over !== drag.over) setDrag({ ...drag, over });
+    },
+    onPointerUp: () => {
+      if (drag?.id !== id) return;
+      const to = drag.over > drag.from ? drag.over - 1 : drag.over;
+      setDrag(null);
+      if (to !== drag.from) onMove(id, to);
+    },
+    onPointerCancel: () => setDrag(null),
+  });
+
+  return { drag, handleProps };
+}
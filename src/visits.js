@@ -0,0 +1,44 @@
+// ============================================================
+// VISITS
+// ============================================================
+// A stop's visit record lives on the location as `visit`:
+//   { outcome, orderValue, notes, checkIn, checkOut, photoIds }
+// checkIn/checkOut are ISO timestamps. Photos are blobs in PHOTO_STORE,
+// referenced by id so day records stay small.
+import { putRecord, deleteRecord, PHOTO_STORE } from "./db.js";
+
+export const OUTCOMES = {
+  order: { label: "Order taken", icon: "🛒" },
+  followup: { label: "Follow-up", icon: "🔁" },
+  closed: { label: "Shop closed", icon: "🔒" },
+  nocontact: { label: "No contact", icon: "📵" },
+};
+
+export const EMPTY_VISIT = { outcome: null, orderValue: null, notes: "", checkIn: null, checkOut: null, photoIds: [] };
+
+const PHOTO_MAX_PX = 1280;
+
+// Downscale to PHOTO_MAX_PX on the long side and re-encode as JPEG; camera
+// originals are several MB each and would fill the quota quickly.
+async function shrinkPhoto(file) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, PHOTO_MAX_PX / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return new Promise((res, rej) => canvas.toBlob(b => b ? res(b) : rej(new Error("Could not encode photo")), "image/jpeg", 0.8));
+}
+
+export async function savePhoto(file, { date, locationId }) {
+  const blob = await shrinkPhoto(file).catch(() => file);
+  const id = crypto.randomUUID();
+  await putRecord(PHOTO_STORE, { id, date, locationId, blob, takenAt: new Date().toISOString() });
+  return id;
+}
+
+export const deletePhotos = (ids = []) => Promise.all(ids.map(id => deleteRecord(PHOTO_STORE, id)));
+
+// Photo ids referenced by a list of locations
+export const photoIdsOf = (locations) => locations.flatMap(l => l.visit?.photoIds || []);